@@ -29,6 +29,11 @@ import { AlignmentMethod, AlignmentOptions } from "./types";
  * exactly 30 second intervals. This enables us to later take aggregations of multiple
  * series like this knowing that points will align with each other.
  *
+ * With `AlignmentMethod.MonotoneCubic` the curve between two `Event`s depends on the
+ * `Event`s either side of them too, so the boundaries up to an `Event` are only emitted
+ * once the `Event` after it arrives. The boundaries up to the last `Event` are emitted
+ * when the processor is flushed.
+ *
  * A `Processor` is typically used internally to map `Event` data.
  * For more typical use, see:
  *  * `EventStream.align()`
@@ -42,6 +47,11 @@ export class Align<T extends Key> extends Processor<T, T> {
     private _limit: number | null;
     private _previous: Event<T>;
 
+    // For monotone cubic interpolation, the last three events
+    // and the boundaries between the last two, yet to be emitted
+    private _points: Array<Event<T>>;
+    private _pending: Immutable.List<Time>;
+
     /**
      * ```
      * const p = new Align<T>({
@@ -53,7 +63,10 @@ export class Align<T extends Key> extends Processor<T, T> {
      * Options:
      *  * `fieldSpec` is the `Event` field or fields that should be aligned
      *  * `period` is the `Period` of the alignment (see `Period`)
-     *  * `method` maybe `AlignmentMethod.Linear` or `AlignmentMethod.Hold`
+     *  * `method` maybe `AlignmentMethod.Hold` (the default), `AlignmentMethod.Linear`,
+     *    `AlignmentMethod.Nearest`, `AlignmentMethod.Next` or `AlignmentMethod.MonotoneCubic`
+     *  * `limit` is the number of boundaries which may lie between two `Event`s before
+     *    `null` values are emitted on those boundaries instead
      */
     constructor(options: AlignmentOptions) {
         super();
@@ -66,6 +79,22 @@ export class Align<T extends Key> extends Processor<T, T> {
 
         // Previous event
         this._previous = null;
+
+        this._points = [];
+        this._pending = Immutable.List<Time>();
+    }
+
+    /**
+     * There's nothing to align to after the last `Event`, so this emits any
+     * boundaries still waiting on the next `Event`, and forgets the last
+     * `Event` so that alignment can begin again.
+     */
+    public flush(): Immutable.List<Event<T>> {
+        const eventList = this.interpolatePending(null);
+        this._previous = null;
+        this._points = [];
+        this._pending = Immutable.List<Time>();
+        return eventList;
     }
 
     /**
@@ -83,6 +112,7 @@ export class Align<T extends Key> extends Processor<T, T> {
 
         if (!this._previous) {
             this._previous = event;
+            this._points = [event];
             if (this.isAligned(event)) {
                 eventList.push(event);
             }
@@ -91,6 +121,16 @@ export class Align<T extends Key> extends Processor<T, T> {
 
         const boundaries: Immutable.List<Time> = this.getBoundaries(event);
 
+        if (this._method === AlignmentMethod.MonotoneCubic) {
+            // The boundaries before the previous event can now be emitted,
+            // and those up to this event must wait for the next one
+            const pending = this.interpolatePending(event);
+            this._points = this._points.concat([event]).slice(-3);
+            this._pending = boundaries;
+            this._previous = event;
+            return pending;
+        }
+
         boundaries.forEach(boundaryTime => {
             let outputEvent;
             if (this._limit && boundaries.size > this._limit) {
@@ -103,6 +143,18 @@ export class Align<T extends Key> extends Processor<T, T> {
                     case AlignmentMethod.Hold:
                         outputEvent = this.interpolateHold(boundaryTime);
                         break;
+                    case AlignmentMethod.Nearest:
+                        outputEvent = this.interpolateFrom(
+                            boundaryTime,
+                            this.nearest(boundaryTime, event)
+                        );
+                        break;
+                    case AlignmentMethod.Next:
+                        outputEvent = this.interpolateFrom(
+                            boundaryTime,
+                            this.next(boundaryTime, event)
+                        );
+                        break;
                     default:
                         throw new Error("Unknown AlignmentMethod");
                 }
@@ -144,14 +196,40 @@ export class Align<T extends Key> extends Processor<T, T> {
      * limit is hit.
      */
     private interpolateHold(boundaryTime: Time, setNone: boolean = false): Event<Time> {
+        return this.interpolateFrom(boundaryTime, setNone ? null : this._previous);
+    }
+
+    /**
+     * Generate a new event on the requested boundary and carry over the
+     * values from the `source` event, or `null` values if there is no source.
+     */
+    private interpolateFrom(boundaryTime: Time, source: Event<T>): Event<Time> {
         let d = Immutable.Map<string, any>();
         this._fieldSpec.forEach(fieldPath => {
-            const value = setNone ? null : this._previous.get(fieldPath);
+            const value = source ? source.get(fieldPath) : null;
             d = _.isString(fieldPath) ? d.set(fieldPath, value) : d.setIn(fieldPath, value);
         });
         return new Event(boundaryTime, d);
     }
 
+    /**
+     * Returns the first of the previous event and the current `event` which is
+     * at or after the boundary.
+     */
+    private next(boundaryTime: Time, event: Event<T>): Event<T> {
+        return +boundaryTime === this._previous.timestamp().getTime() ? this._previous : event;
+    }
+
+    /**
+     * Returns whichever of the previous event and the current `event` is
+     * closest in time to the boundary. A tie goes to the previous event.
+     */
+    private nearest(boundaryTime: Time, event: Event<T>): Event<T> {
+        const sincePrevious = +boundaryTime - this._previous.timestamp().getTime();
+        const untilCurrent = event.timestamp().getTime() - +boundaryTime;
+        return sincePrevious <= untilCurrent ? this._previous : event;
+    }
+
     /**
      * Generate a linear differential between two counter values that lie
      * on either side of a window boundary.
@@ -187,4 +265,113 @@ export class Align<T extends Key> extends Processor<T, T> {
 
         return new Event<Time>(boundaryTime, d);
     }
+
+    /**
+     * Interpolates the boundaries waiting between the last two events, now that
+     * the `next` event is known. At the end of the events `next` will be `null`.
+     */
+    private interpolatePending(next: Event<T>): Immutable.List<Event<T>> {
+        const eventList = new Array<Event<T>>();
+        if (this._points.length < 2) {
+            return Immutable.List(eventList);
+        }
+
+        const [before, start, end] =
+            this._points.length === 3 ? this._points : [null, ...this._points];
+
+        const limited = this._limit && this._pending.size > this._limit;
+        this._pending.forEach(boundaryTime => {
+            const outputEvent: Event<Time> = limited
+                ? this.interpolateFrom(boundaryTime, null)
+                : this.interpolateCubic(boundaryTime, before, start, end, next);
+            eventList.push(outputEvent as Event<any>);
+        });
+
+        return Immutable.List(eventList);
+    }
+
+    /**
+     * Generate a value on the boundary between the `start` and `end` events
+     * using monotone cubic (Hermite) interpolation. The slope of the curve
+     * at each event comes from the events either side of it, limited so
+     * that the curve never overshoots them. The `before` and `after` events
+     * may be `null` at the ends of the events.
+     */
+    private interpolateCubic(
+        boundaryTime: Time,
+        before: Event<T>,
+        start: Event<T>,
+        end: Event<T>,
+        after: Event<T>
+    ): Event<Time> {
+        let d = Immutable.Map<string, any>();
+
+        const startTime = start.timestamp().getTime();
+        const endTime = end.timestamp().getTime();
+        const h = endTime - startTime;
+
+        // The Hermite basis functions will be the same for all values being processed
+        const t = (+boundaryTime - startTime) / h;
+        const h00 = 2 * t * t * t - 3 * t * t + 1;
+        const h10 = t * t * t - 2 * t * t + t;
+        const h01 = -2 * t * t * t + 3 * t * t;
+        const h11 = t * t * t - t * t;
+
+        this._fieldSpec.forEach(fieldPath => {
+            const startVal = start.get(fieldPath);
+            const endVal = end.get(fieldPath);
+
+            let interpolatedVal = null;
+            if (!_.isNumber(startVal) || !_.isNumber(endVal)) {
+                // tslint:disable-next-line
+                console.warn(`Path ${fieldPath} contains a non-numeric value or does not exist`);
+            } else {
+                const secant: [number, number] = [(endVal - startVal) / h, h];
+                const startSlope = this.tangent(this.secant(before, start, fieldPath), secant);
+                const endSlope = this.tangent(secant, this.secant(end, after, fieldPath));
+                interpolatedVal =
+                    h00 * startVal + h10 * h * startSlope + h01 * endVal + h11 * h * endSlope;
+            }
+            d = _.isString(fieldPath)
+                ? d.set(fieldPath, interpolatedVal)
+                : d.setIn(fieldPath, interpolatedVal);
+        });
+
+        return new Event<Time>(boundaryTime, d);
+    }
+
+    /**
+     * Returns the slope of the line between two events, as `[slope, duration]`,
+     * or `null` if either event or value is missing.
+     */
+    private secant(a: Event<T>, b: Event<T>, fieldPath: string): [number, number] {
+        if (!a || !b) {
+            return null;
+        }
+        const aVal = a.get(fieldPath);
+        const bVal = b.get(fieldPath);
+        const dt = b.timestamp().getTime() - a.timestamp().getTime();
+        if (!_.isNumber(aVal) || !_.isNumber(bVal) || dt <= 0) {
+            return null;
+        }
+        return [(bVal - aVal) / dt, dt];
+    }
+
+    /**
+     * Returns the slope of the curve at an event, given the secants on either
+     * side of it (Steffen's method). At the ends of the events, the slope is
+     * that of the only secant. Where the values turn, the slope is zero.
+     */
+    private tangent(left: [number, number], right: [number, number]): number {
+        if (!left || !right) {
+            return left ? left[0] : right[0];
+        }
+        const [s0, h0] = left;
+        const [s1, h1] = right;
+        if (s0 * s1 <= 0) {
+            return 0;
+        }
+        const p = (s0 * h1 + s1 * h0) / (h0 + h1);
+        return 2 * Math.sign(s0) * Math.min(Math.abs(s0), Math.abs(s1), 0.5 * Math.abs(p));
+    }
 }
@@ -0,0 +1,163 @@
+/**
+ *  Copyright (c) 2017, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import * as Immutable from "immutable";
+import * as _ from "lodash";
+
+import { Duration } from "./duration";
+import { Event } from "./event";
+import { avg, median, stdev } from "./functions";
+import { Key } from "./key";
+import { Processor } from "./processor";
+import util from "./util";
+
+import { AnomalyMethod, AnomalyOptions } from "./types";
+
+/**
+ * A `Processor` which scores each value of the given fields against the
+ * previous values, and flags those that stand out as anomalies.
+ *
+ * For each field two new fields are added to the `Event`, with the suffixes
+ * "_score" and "_is_anomaly", e.g. "value_score" and "value_is_anomaly" for a
+ * "value" field. Values are scored against a rolling history of previous values,
+ * which is either the last `count` values, or those within a trailing `window`.
+ * Until there are at least two previous values the score is `null`.
+ *
+ * To control the detection you need to specify an `AnomalyOptions` object
+ * in the constructor, which takes the following form:
+ * ```
+ * {
+ *     fieldSpec: string | string[];
+ *     method?: AnomalyMethod;
+ *     window?: Duration;
+ *     count?: number;
+ *     threshold?: number;
+ * }
+ * ```
+ * Options:
+ *  * `fieldSpec` - the field or fields to score
+ *  * `method` - `AnomalyMethod.ZScore` (the default) scores each value by the number
+ *    of standard deviations it is from the mean. `AnomalyMethod.Mad` uses the modified
+ *    z-score instead, based on the median and the median absolute deviation.
+ *  * `window` - the `Duration` of the trailing window of previous values
+ *  * `count` - the maximum number of previous values
+ *  * `threshold` - the score beyond which a value is an anomaly, defaulting to 3
+ *
+ * If the previous values are all the same, there is no spread to score against, so
+ * the score is `null` and any different value is an anomaly.
+ */
+export class Anomaly<T extends Key> extends Processor<T, T> {
+    // Options
+    private fieldSpec: string[];
+    private method: AnomalyMethod;
+    private window: Duration;
+    private count: number;
+    private threshold: number;
+
+    // Internal state
+    private history: { [pathKey: string]: Array<[number, number]> };
+
+    constructor(options: AnomalyOptions) {
+        super();
+        const { fieldSpec, method = AnomalyMethod.ZScore, window, count, threshold = 3 } = options;
+
+        // Options
+        this.fieldSpec = _.isString(fieldSpec) ? [fieldSpec] : fieldSpec;
+        this.method = method;
+        this.window = window;
+        this.count = count;
+        this.threshold = threshold;
+
+        if (!this.window && !this.count) {
+            throw new Error("Anomaly detection requires a window Duration or a count");
+        }
+
+        this.history = {};
+    }
+
+    /**
+     * Forgets the previous values, so that detection can begin again.
+     */
+    public flush(): Immutable.List<Event<T>> {
+        this.history = {};
+        return Immutable.List<Event<T>>();
+    }
+
+    /**
+     * Scores the values of the `Event` and emits it with the scores added.
+     */
+    public addEvent(event: Event<T>): Immutable.List<Event<T>> {
+        const t = event.timestamp().getTime();
+        let d = event.getData();
+
+        this.fieldSpec.forEach(path => {
+            const fieldPath = util.fieldAsArray(path);
+            const pathKey = fieldPath.join(":");
+            const scorePath = fieldPath.slice();
+            const flagPath = fieldPath.slice();
+            scorePath[scorePath.length - 1] += "_score";
+            flagPath[flagPath.length - 1] += "_is_anomaly";
+
+            const samples = this.trim(this.history[pathKey] || [], t);
+            const value = d.getIn(fieldPath);
+
+            let score = null;
+            let isAnomaly = false;
+            if (!util.isMissing(value) && _.isNumber(value)) {
+                [score, isAnomaly] = this.score(
+                    samples.map(sample => sample[1]),
+                    value
+                );
+                samples.push([t, value]);
+            }
+            this.history[pathKey] = samples;
+
+            d = d.setIn(scorePath, score).setIn(flagPath, isAnomaly);
+        });
+
+        return Immutable.List([event.setData(d)]);
+    }
+
+    /**
+     * Returns the previous values which are still within the `window`
+     * and `count` at time `t`
+     */
+    private trim(samples: Array<[number, number]>, t: number): Array<[number, number]> {
+        const within = this.window ? samples.filter(([ts]) => ts > t - +this.window) : samples;
+        return this.count ? within.slice(-this.count) : within;
+    }
+
+    /**
+     * Scores the `value` against the previous `values`, returning
+     * the score and whether it is an anomaly
+     */
+    private score(values: number[], value: number): [number, boolean] {
+        if (values.length < 2) {
+            return [null, false];
+        }
+
+        let center: number;
+        let spread: number;
+        if (this.method === AnomalyMethod.Mad) {
+            // The modified z-score scales the MAD to be comparable to a stdev
+            center = median()(values);
+            spread = median()(values.map(v => Math.abs(v - center))) / 0.6745;
+        } else {
+            center = avg()(values);
+            spread = stdev()(values);
+        }
+
+        if (spread === 0) {
+            return [null, value !== center];
+        }
+        const score = (value - center) / spread;
+        return [score, Math.abs(score) > this.threshold];
+    }
+}
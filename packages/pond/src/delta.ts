@@ -0,0 +1,81 @@
+/**
+ *  Copyright (c) 2017, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import * as Immutable from "immutable";
+import * as _ from "lodash";
+
+import { Event } from "./event";
+import { Key } from "./key";
+import { Processor } from "./processor";
+import util from "./util";
+
+import { DeltaOptions } from "./types";
+
+/**
+ * A `Processor` to take the difference between each `Event` and the previous
+ * one for the given fields. Unlike `Rate`, the output `Event`s keep the key of
+ * the incoming `Event`, and the values are not divided by the time between them.
+ * The resulting fields have a "_delta" suffix, e.g. "in_delta" for an "in" field.
+ *
+ * Options:
+ *  * `fieldSpec` - the field or fields to take the difference of
+ */
+export class Delta<T extends Key> extends Processor<T, T> {
+    // Internal state
+    private fieldSpec: string[];
+
+    private previous: Event<T>;
+
+    constructor(options: DeltaOptions) {
+        super();
+        const { fieldSpec } = options;
+
+        // Options
+        this.fieldSpec = _.isString(fieldSpec) ? [fieldSpec] : fieldSpec;
+
+        // Previous event
+        this.previous = null;
+    }
+
+    /**
+     * A delta needs a following `Event`, so this just forgets the last
+     * `Event` so that deltas can begin again.
+     */
+    public flush(): Immutable.List<Event<T>> {
+        this.previous = null;
+        return Immutable.List<Event<T>>();
+    }
+
+    /**
+     * Emits the difference between the `Event` and the previous one.
+     */
+    public addEvent(event: Event<T>): Immutable.List<Event<T>> {
+        const previous = this.previous;
+        this.previous = event;
+        if (!previous) {
+            return Immutable.List<Event<T>>();
+        }
+
+        let d = Immutable.Map<string, any>();
+        this.fieldSpec.forEach(path => {
+            const fieldPath = util.fieldAsArray(path);
+            const deltaPath = fieldPath.slice();
+            deltaPath[deltaPath.length - 1] += "_delta";
+
+            const previousVal = previous.get(fieldPath);
+            const currentVal = event.get(fieldPath);
+            const delta =
+                _.isNumber(currentVal) && _.isNumber(previousVal) ? currentVal - previousVal : null;
+            d = d.setIn(deltaPath, delta);
+        });
+
+        return Immutable.List([new Event<T>(event.getKey(), d)]);
+    }
+}
@@ -0,0 +1,89 @@
+/**
+ *  Copyright (c) 2017, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import * as Immutable from "immutable";
+import * as _ from "lodash";
+
+import { Event } from "./event";
+import { Key } from "./key";
+import { Processor } from "./processor";
+import util from "./util";
+
+import { DerivativeOptions } from "./types";
+
+/**
+ * A `Processor` to take the derivative of the incoming `Event`s for the given
+ * fields, per `unit` of time. Unlike `Rate`, which is always per second and
+ * keyed by the `TimeRange` between `Event`s, the output `Event`s keep the key of
+ * the incoming `Event`. The resulting fields have a "_derivative" suffix, e.g.
+ * "in_derivative" for an "in" field.
+ *
+ * Options:
+ *  * `fieldSpec` - the field or fields to take the derivative of
+ *  * `unit` - the `Duration` the derivative is per, which defaults to one second
+ */
+export class Derivative<T extends Key> extends Processor<T, T> {
+    // Internal state
+    private fieldSpec: string[];
+    private unit: number;
+
+    private previous: Event<T>;
+
+    constructor(options: DerivativeOptions) {
+        super();
+        const { fieldSpec, unit } = options;
+
+        // Options
+        this.fieldSpec = _.isString(fieldSpec) ? [fieldSpec] : fieldSpec;
+        this.unit = unit ? +unit : 1000;
+
+        // Previous event
+        this.previous = null;
+    }
+
+    /**
+     * A derivative needs a following `Event`, so this just forgets the last
+     * `Event` so that derivatives can begin again.
+     */
+    public flush(): Immutable.List<Event<T>> {
+        this.previous = null;
+        return Immutable.List<Event<T>>();
+    }
+
+    /**
+     * Emits the derivative between the `Event` and the previous one.
+     */
+    public addEvent(event: Event<T>): Immutable.List<Event<T>> {
+        const previous = this.previous;
+        this.previous = event;
+        if (!previous) {
+            return Immutable.List<Event<T>>();
+        }
+
+        const deltaTime = (+event.timestamp() - +previous.timestamp()) / this.unit;
+
+        let d = Immutable.Map<string, any>();
+        this.fieldSpec.forEach(path => {
+            const fieldPath = util.fieldAsArray(path);
+            const derivativePath = fieldPath.slice();
+            derivativePath[derivativePath.length - 1] += "_derivative";
+
+            const previousVal = previous.get(fieldPath);
+            const currentVal = event.get(fieldPath);
+            const derivative =
+                _.isNumber(currentVal) && _.isNumber(previousVal) && deltaTime !== 0
+                    ? (currentVal - previousVal) / deltaTime
+                    : null;
+            d = d.setIn(derivativePath, derivative);
+        });
+
+        return Immutable.List([new Event<T>(event.getKey(), d)]);
+    }
+}
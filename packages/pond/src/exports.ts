@@ -1,10 +1,14 @@
 import { Align } from "./align";
+import { Anomaly } from "./anomaly";
 import { Base } from "./base";
 import { Collapse } from "./collapse";
 import { collection, Collection } from "./collection";
+import { Delta } from "./delta";
+import { Derivative } from "./derivative";
 import { event, Event, indexedEvent, timeEvent, timeRangeEvent } from "./event";
 import { Fill } from "./fill";
 import {
+    area,
     avg,
     count,
     difference,
@@ -14,34 +18,70 @@ import {
     last,
     max,
     median,
+    mergedAvg,
+    mergedCount,
+    mergedMax,
+    mergedMin,
+    mergedStdev,
+    mergedSum,
     min,
+    partial,
     percentile,
     stdev,
-    sum
+    sum,
+    timeWeightedAvg,
+    timeWeightedPercentile
 } from "./functions";
 import { grouped, GroupedCollection } from "./groupedcollection";
 import { index, Index } from "./index";
+import { Integral } from "./integral";
 import { Key } from "./key";
 import { period, Period } from "./period";
 import { Processor } from "./processor";
 import { Rate } from "./rate";
 import { Select } from "./select";
+import { Smooth } from "./smooth";
 import { sortedCollection, SortedCollection } from "./sortedcollection";
 import { stream } from "./stream";
+import { Threshold } from "./threshold";
 import { time, Time } from "./time";
 import { timerange, TimeRange } from "./timerange";
 import { indexedSeries, timeRangeSeries, timeSeries, TimeSeries } from "./timeseries";
-import { Trigger, WindowingOptions } from "./types";
+import {
+    AnomalyMethod,
+    AnomalyOptions,
+    AsOfDirection,
+    AsOfJoinOptions,
+    CounterReset,
+    DeltaOptions,
+    DerivativeOptions,
+    IntegralOptions,
+    JoinOptions,
+    JoinType,
+    MergeOptions,
+    PartialAggregate,
+    SmoothingMethod,
+    SmoothOptions,
+    StreamJoinOptions,
+    ThresholdDirection,
+    ThresholdOptions,
+    Trigger,
+    WindowingOptions
+} from "./types";
 import util from "./util";
 import { windowed, WindowedCollection } from "./windowedcollection";
 
 export { Align };
+export { Anomaly };
 export { Base };
 export { Collapse };
 export { collection, Collection };
+export { Delta };
+export { Derivative };
 export { event, Event, timeEvent, timeRangeEvent, indexedEvent };
 export { Fill };
 export {
+    area,
     avg,
     count,
     difference,
@@ -51,26 +91,69 @@ export {
     last,
     max,
     median,
+    mergedAvg,
+    mergedCount,
+    mergedMax,
+    mergedMin,
+    mergedStdev,
+    mergedSum,
     min,
+    partial,
     percentile,
     stdev,
-    sum
+    sum,
+    timeWeightedAvg,
+    timeWeightedPercentile
 };
 
 export { duration, Duration } from "./duration";
 export { grouped, GroupedCollection };
 export { index, Index };
+export { Integral };
 export { Key };
 export { period, Period };
 export { Processor };
 export { Rate };
 export { Select };
+export { Smooth };
 export { sortedCollection, SortedCollection };
 export { stream };
+export { Threshold };
 export { time, Time };
 export { timerange, TimeRange };
 export { timeSeries, indexedSeries, timeRangeSeries, TimeSeries };
-export { Trigger, WindowingOptions };
+export {
+    AnomalyMethod,
+    AnomalyOptions,
+    AsOfDirection,
+    AsOfJoinOptions,
+    CounterReset,
+    DeltaOptions,
+    DerivativeOptions,
+    IntegralOptions,
+    JoinOptions,
+    JoinType,
+    MergeOptions,
+    PartialAggregate,
+    SmoothingMethod,
+    SmoothOptions,
+    StreamJoinOptions,
+    ThresholdDirection,
+    ThresholdOptions,
+    Trigger,
+    WindowingOptions
+};
 export { util };
-export { daily, DayWindow, window, Window } from "./window";
+export {
+    daily,
+    DayWindow,
+    monthly,
+    MonthWindow,
+    session,
+    SessionWindow,
+    window,
+    Window,
+    yearly,
+    YearWindow
+} from "./window";
 export { windowed, WindowedCollection } from "./windowedcollection";
@@ -13,49 +13,78 @@ import * as _ from "lodash";
 
 import { Event } from "./event";
 import { Key } from "./key";
+import { Period } from "./period";
 import { Processor } from "./processor";
+import { Time } from "./time";
+import { timerange } from "./timerange";
 import util from "./util";
 
 import { FillMethod, FillOptions } from "./types";
 
+/**
+ * An `Event` held back by a linear fill, along with the number
+ * of its fields still waiting on a value to interpolate to
+ */
+interface PendingFill<T extends Key> {
+    event: Event<T>;
+    waiting: number;
+}
+
+/**
+ * The linear fill state kept for each field: the last good value,
+ * and the held back `Event`s missing a value since then
+ */
+interface LinearFillState<T extends Key> {
+    time: number;
+    value: number;
+    gap: Array<PendingFill<T>>;
+}
+
 /**
  * A processor that fills missing/invalid values in the `Event` with
  * new values (zero, interpolated or padded).
  *
- * When doing a linear fill, Filler instances should be chained.
+ * A linear fill holds back each `Event` with a missing value until there's
+ * a value to interpolate to. Each field is filled independently, but `Event`s
+ * are always emitted in order, so an `Event` waits until all of its fields
+ * are filled.
+ *
+ * With a `period`, the processor also fills gaps where there are no `Event`s
+ * at all. An `Event` with `null` values for the fields is inserted on each
+ * boundary of the `Period` between one `Event` and the next, and is then
+ * filled like any other. The `Event`s should already lie on the boundaries
+ * (see `align()`), otherwise a new `Event` is inserted on every boundary.
  */
 export class Fill<T extends Key> extends Processor<T, T> {
     // Options
     private _fieldSpec: string[];
     private _method: FillMethod;
     private _limit: number | null;
+    private _period: Period;
 
     // Internal state
     private _previous: Event<T>;
     private _keyCount;
-    private _lastGoodLinear;
-    private _linearFillCache;
+    private _lastGoodLinear: { [pathKey: string]: LinearFillState<T> };
+    private _linearFillCache: Array<PendingFill<T>>;
+    private _lastTime: number;
 
     constructor(options: FillOptions) {
         super();
 
-        const { fieldSpec, method = FillMethod.Pad, limit = null } = options;
+        const { fieldSpec, method = FillMethod.Pad, limit = null, period = null } = options;
 
         // Options
         this._fieldSpec = _.isString(fieldSpec) ? [fieldSpec] : fieldSpec;
         this._method = method;
         this._limit = limit;
+        this._period = period;
 
         this._previous = null; // state for pad to refer to previous event
         this._keyCount = {}; // key count for zero and pad fill
-        this._lastGoodLinear = null; // special state for linear fill
+        this._lastGoodLinear = {}; // special state for linear fill, per field
         this._linearFillCache = []; // cache of events pending linear fill
-
-        // Special case: when using linear mode, only a single column
-        //               will be processed per instance!
-        if (this._method === FillMethod.Linear && this._fieldSpec.length > 1) {
-            throw new Error("Linear fill takes a path to a single field");
-        }
+        this._lastTime = null; // timestamp of the last event, for gap filling
     }
 
     /**
@@ -112,187 +141,80 @@ export class Fill<T extends Key> extends Processor<T, T> {
         return newData;
     }
 
-    /**
-     * Check to see if an `Event` has good values when doing
-     * linear fill since we need to keep a completely intact
-     * event for the values.
-     * While we are inspecting the data payload, make a note if
-     * any of the paths are pointing at a list. Then it
-     * will trigger that filling code later.
-     */
-    isValidLinearEvent(event: Event<T>) {
-        let valid = true;
-        const fieldPath = util.fieldAsArray(this._fieldSpec[0]);
-
-        // Detect path that doesn't exist
-        if (!event.getData().hasIn(fieldPath)) {
-            // tslint:disable-next-line
-            console.warn(`path does not exist: ${fieldPath}`);
-            return valid;
-        }
-
-        const val = event.getData().getIn(fieldPath);
-
-        // Detect if missing or not a number
-        if (util.isMissing(val) || !_.isNumber(val)) {
-            valid = false;
-        }
-        return valid;
-    }
-
     /**
      * This handles the linear filling. It returns a list of
      * zero or more `Event`'s to be emitted.
      *
-     * If an `Event` is valid:
-     *  * it has valid values for all of the field paths
-     *  * it is cached as "last good" and returned to be emitted.
-     * The return value is then a list of one `Event`.
-     *
-     * If an `Event` has invalid values, it is cached to be
-     * processed later and an empty list is returned.
+     * For each field of the `Event`:
+     *  * if it has a valid value, any gap in that field since the
+     *    last good value is filled by interpolating between the two,
+     *    and this becomes the last good value
+     *  * if it is missing, it joins the gap waiting on the next good
+     *    value, unless there's no last good value to fill "from"
      *
-     * Additional invalid `Event`'s will continue to be cached until
-     * a new valid value is seen, then the cached events will
-     * be filled and returned. That will be a list of indeterminate
-     * length.
+     * The `Event`s at the front of the cache which are no longer
+     * waiting on any field are then returned, which will be a list
+     * of indeterminate length.
      */
     linearFill(event: Event<T>): Array<Event<T>> {
-        // See if the event is valid and also if it has any
-        // list values to be filled.
-        const isValidEvent = this.isValidLinearEvent(event);
+        const pending: PendingFill<T> = { event, waiting: 0 };
+        this._linearFillCache.push(pending);
 
-        const events: Array<Event<T>> = [];
-        if (isValidEvent && !this._linearFillCache.length) {
-            // Valid event, no cached events, use as last good val
-            this._lastGoodLinear = event;
-            events.push(event);
-        } else if (!isValidEvent && !_.isNull(this._lastGoodLinear)) {
-            this._linearFillCache.push(event);
-
-            // Check limit
-            if (!_.isNull(this._limit) && this._linearFillCache.length >= this._limit) {
-                // Flush the cache now because limit is reached
-                this._linearFillCache.forEach(e => {
-                    events.push(e);
-                });
-
-                // Reset
-                this._linearFillCache = [];
-                this._lastGoodLinear = null;
-            }
-        } else if (!isValidEvent && _.isNull(this._lastGoodLinear)) {
-            //
-            // An invalid event but we have not seen a good
-            // event yet so there is nothing to start filling "from"
-            // so just return and live with it.
-            //
-            events.push(event);
-        } else if (isValidEvent && this._linearFillCache) {
-            // Linear interpolation between last good and this event
-            const eventList = [this._lastGoodLinear, ...this._linearFillCache, event];
-            const interpolatedEvents = this.interpolateEventList(eventList);
-
-            //
-            // The first event in the returned list from interpolatedEvents
-            // is our last good event. This event has already been emitted so
-            // it is sliced off.
-            //
-            interpolatedEvents.slice(1).forEach(e => {
-                events.push(e);
-            });
-
-            // Reset
-            this._linearFillCache = [];
-            this._lastGoodLinear = event;
-        }
-
-        return events;
-    }
-
-    /**
-     * The fundamental linear interpolation workhorse code. Process
-     * a list of `Event`'s and return a new list. Does a pass for
-     * every `fieldSpec`.
-     *
-     * This is abstracted out like this because we probably want
-     * to interpolate a list of `Event`'s not tied to a `Collection`.
-     * A Pipeline result list, etc etc.
-     *
-     */
-    interpolateEventList(events: Array<Event<T>>): Array<Event<T>> {
-        let prevValue;
-        let prevTime;
-
-        // new array of interpolated events for each field path
-        const newEvents: Array<Event<T>> = [];
-
-        const fieldPath = util.fieldAsArray(this._fieldSpec[0]);
-
-        // setup done, loop through the events
-        for (let i = 0; i < events.length; i++) {
-            const e = events[i];
+        const t = event.timestamp().getTime();
+        for (const path of this._fieldSpec) {
+            const fieldPath = util.fieldAsArray(path);
+            const pathKey = fieldPath.join(":");
+            const lastGood = this._lastGoodLinear[pathKey];
 
-            // Can't interpolate first or last event so just save it
-            // as is and move on.
-            if (i === 0) {
-                prevValue = e.get(fieldPath);
-                prevTime = e.timestamp().getTime();
-                newEvents.push(e);
+            // Detect path that doesn't exist
+            if (!event.getData().hasIn(fieldPath)) {
+                // tslint:disable-next-line
+                console.warn(`path does not exist: ${fieldPath}`);
                 continue;
             }
 
-            if (i === events.length - 1) {
-                newEvents.push(e);
-                continue;
-            }
+            const val = event.getData().getIn(fieldPath);
 
-            // Detect non-numeric value
-            if (!util.isMissing(e.get(fieldPath)) && !_.isNumber(e.get(fieldPath))) {
+            if (!util.isMissing(val) && _.isNumber(val)) {
+                if (lastGood) {
+                    this.interpolateGap(fieldPath, lastGood, t, val);
+                }
+                this._lastGoodLinear[pathKey] = { time: t, value: val, gap: [] };
+            } else if (!util.isMissing(val)) {
                 // tslint:disable-next-line
                 console.warn(`linear requires numeric values - skipping this field_spec`);
-                return events;
-            }
-
-            // Found a missing value so start calculating.
-            if (util.isMissing(e.get(fieldPath))) {
-                // Find the next valid value in the original events
-                let ii = i + 1;
-                let nextValue = null;
-                let nextTime = null;
-                while (_.isNull(nextValue) && ii < events.length) {
-                    const val = events[ii].get(fieldPath);
-                    if (!util.isMissing(val)) {
-                        nextValue = val;
-                        // exits loop
-                        nextTime = events[ii].timestamp().getTime();
-                    }
-                    ii++;
-                }
-
-                // Interpolate a new value to fill
-                if (!_.isNull(prevValue) && !_.isNull(nextValue)) {
-                    const currentTime = e.timestamp().getTime();
-                    if (nextTime === prevTime) {
-                        // If times are the same, just avg
-                        const newValue = (prevValue + nextValue) / 2;
-                        const d = e.getData().setIn(fieldPath, newValue);
-                        newEvents.push(e.setData(d));
-                    } else {
-                        const f = (currentTime - prevTime) / (nextTime - prevTime);
-                        const newValue = prevValue + f * (nextValue - prevValue);
-                        const d = e.getData().setIn(fieldPath, newValue);
-                        newEvents.push(e.setData(d));
-                    }
-                } else {
-                    newEvents.push(e);
+                this.abandonGap(pathKey);
+            } else if (lastGood) {
+                pending.waiting++;
+                lastGood.gap.push(pending);
+
+                // Check limit
+                if (!_.isNull(this._limit) && lastGood.gap.length >= this._limit) {
+                    this.abandonGap(pathKey);
                 }
-            } else {
-                newEvents.push(e);
             }
         }
 
-        return newEvents;
+        const events: Array<Event<T>> = [];
+        while (this._linearFillCache.length && this._linearFillCache[0].waiting === 0) {
+            events.push(this._linearFillCache.shift().event);
+        }
+        return events;
+    }
+
+    /**
+     * Returns any `Event`s still waiting on a linear fill. With no valid
+     * `Event` after them there's nothing to interpolate to, so they are
+     * returned unfilled. The fill state is then reset.
+     */
+    public flush(): Immutable.List<Event<T>> {
+        const pending = Immutable.List<Event<T>>(this._linearFillCache.map(p => p.event));
+        this._previous = null;
+        this._keyCount = {};
+        this._lastGoodLinear = {};
+        this._linearFillCache = [];
+        this._lastTime = null;
+        return pending;
     }
 
     /**
@@ -301,17 +223,82 @@ export class Fill<T extends Key> extends Processor<T, T> {
      */
     addEvent(event: Event<T>): Immutable.List<Event<T>> {
         const eventList = new Array<Event<T>>();
-        const d = event.getData();
-        if (this._method === FillMethod.Zero || this._method === FillMethod.Pad) {
-            const dd = this.constFill(d);
-            const e = event.setData(dd);
-            eventList.push(e);
-            this._previous = e;
-        } else if (this._method === FillMethod.Linear) {
-            this.linearFill(event).forEach(e => {
+        const events = this._period ? [...this.missingEvents(event), event] : [event];
+        events.forEach(evt => {
+            const d = evt.getData();
+            if (this._method === FillMethod.Zero || this._method === FillMethod.Pad) {
+                const dd = this.constFill(d);
+                const e = evt.setData(dd);
                 eventList.push(e);
-            });
-        }
+                this._previous = e;
+            } else if (this._method === FillMethod.Linear) {
+                this.linearFill(evt).forEach(e => {
+                    eventList.push(e);
+                });
+            }
+        });
         return Immutable.List(eventList);
     }
+
+    /**
+     * Returns new `Event`s, with `null` values for the fields, on the
+     * boundaries of the `period` between the last `Event` and this one.
+     */
+    private missingEvents(event: Event<T>): Array<Event<T>> {
+        if (!(event.getKey() instanceof Time)) {
+            throw new Error("The key of gap filled events must be a Time");
+        }
+
+        const lastTime = this._lastTime;
+        const currentTime = event.timestamp().getTime();
+        this._lastTime = currentTime;
+        if (_.isNull(lastTime) || currentTime <= lastTime) {
+            return [];
+        }
+
+        let d = Immutable.Map<string, any>();
+        this._fieldSpec.forEach(path => {
+            d = d.setIn(util.fieldAsArray(path), null);
+        });
+
+        return this._period
+            .within(timerange(lastTime, currentTime))
+            .filter(boundaryTime => +boundaryTime !== lastTime)
+            .map(boundaryTime => new Event<Time>(boundaryTime, d) as Event<any>)
+            .toArray();
+    }
+
+    /**
+     * Fills the gap in the field at `fieldPath` since the `lastGood` value,
+     * by linear interpolation to the `value` at time `t`.
+     */
+    private interpolateGap(
+        fieldPath: string[],
+        lastGood: LinearFillState<T>,
+        t: number,
+        value: number
+    ) {
+        lastGood.gap.forEach(pending => {
+            const currentTime = pending.event.timestamp().getTime();
+            // If times are the same, just avg
+            const f =
+                t === lastGood.time ? 0.5 : (currentTime - lastGood.time) / (t - lastGood.time);
+            const newValue = lastGood.value + f * (value - lastGood.value);
+            const d = pending.event.getData().setIn(fieldPath, newValue);
+            pending.event = pending.event.setData(d);
+            pending.waiting--;
+        });
+    }
+
+    /**
+     * Gives up filling the gap in a field, leaving its values missing,
+     * and forgets the last good value so that a new gap isn't started.
+     */
+    private abandonGap(pathKey: string) {
+        const lastGood = this._lastGoodLinear[pathKey];
+        if (lastGood) {
+            lastGood.gap.forEach(pending => pending.waiting--);
+            delete this._lastGoodLinear[pathKey];
+        }
+    }
 }
@@ -8,9 +8,15 @@
  *  LICENSE file in the root directory of this source tree.
  */
 
+import * as Immutable from "immutable";
 import * as _ from "lodash";
 
-import { ReducerFunction } from "./types";
+import { Collection } from "./collection";
+import { Duration } from "./duration";
+import { Event } from "./event";
+import { Key } from "./key";
+import { TimeRange } from "./timerange";
+import { AggregationMapFunction, PartialAggregate, ReducerFunction } from "./types";
 import util from "./util";
 
 //
@@ -275,7 +281,7 @@ export function median(clean = filter.ignoreMissing): ReducerFunction {
         if (!cleanValues) {
             return null;
         }
-        const sorted = cleanValues.sort();
+        const sorted = cleanValues.slice().sort((a, b) => a - b);
         const i = Math.floor(sorted.length / 2);
         if (sorted.length % 2 === 0) {
             const a = sorted[i];
@@ -384,6 +390,271 @@ export function percentile(
     };
 }
 
+//
+// Time weighted functions, which see the timestamps of the `Event`s
+//
+
+/**
+ * Returns each value of the field in the `collection` paired with the time, in ms,
+ * for which it holds. A value holds until the next value, or until the end of the
+ * window `range`. Where the window begins between values, the `previous` value
+ * (from before the window) holds from the beginning of the window until the first
+ * value, so that only its share of time within the window is counted. Without a
+ * `range`, the values are weighted over the time from the first to the last.
+ */
+function holdTimes(
+    collection: Collection<Key>,
+    fieldSpec: string | string[],
+    range?: TimeRange,
+    previous?: Event<Key>
+): Array<[number, number]> {
+    const fieldPath = util.fieldAsArray(fieldSpec);
+    const samples: Array<[number, number]> = [];
+    const addSample = (e: Event<Key>) => {
+        const v = e.get(fieldPath);
+        if (util.isValid(v) && _.isNumber(v)) {
+            samples.push([+e.timestamp(), v]);
+        }
+    };
+    if (previous) {
+        addSample(previous);
+    }
+    collection
+        .eventList()
+        .sortBy(e => +e.timestamp())
+        .forEach(addSample);
+
+    if (!samples.length) {
+        return [];
+    }
+    const begin = range ? +range.begin() : samples[0][0];
+    const end = range ? +range.end() : samples[samples.length - 1][0];
+    return samples.map(([t, v], i): [number, number] => {
+        const next = i < samples.length - 1 ? samples[i + 1][0] : end;
+        return [v, Math.max(0, Math.min(next, end) - Math.max(t, begin))];
+    });
+}
+
+/**
+ * Returns a `timeWeightedAvg()` function, for use in an `AggregationSpec`, which
+ * averages the values of a field weighted by the time each value holds for. Unlike
+ * an `avg()`, the average isn't biased towards periods with more frequent samples.
+ *
+ * Each value holds until the next one. When aggregating a window, the last value
+ * holds until the end of the window, and the value from before the window holds
+ * until the first value within it, so samples that straddle the window boundaries
+ * are apportioned between the windows. If there's no time to weight the values
+ * by, such as a single value outside of a window, the plain average is returned.
+ *
+ * Example:
+ * ```
+ * const rollup = series.fixedWindowRollup({
+ *     window: window(duration("1h")),
+ *     aggregation: { value: timeWeightedAvg("value") }
+ * });
+ * ```
+ */
+export function timeWeightedAvg(
+    fieldSpec: string | string[] = "value"
+): AggregationMapFunction<Key> {
+    return (collection: Collection<Key>, range?: TimeRange, previous?: Event<Key>) => {
+        const times = holdTimes(collection, fieldSpec, range, previous);
+        if (!times.length) {
+            return null;
+        }
+        const total = _.sumBy(times, ([, ms]) => ms);
+        if (total === 0) {
+            return avg()(times.map(([v]) => v));
+        }
+        return _.sumBy(times, ([v, ms]) => v * ms) / total;
+    };
+}
+
+/**
+ * Returns a `timeWeightedPercentile()` function, for use in an `AggregationSpec`,
+ * which finds the value of a field that the field is at or below for `q` percent
+ * of the time (so `q` should be between 0 and 100). Values hold for the same
+ * times as for a `timeWeightedAvg()`.
+ */
+export function timeWeightedPercentile(
+    fieldSpec: string | string[],
+    q: number
+): AggregationMapFunction<Key> {
+    if (q < 0 || q > 100) {
+        throw new Error("Percentile q must be between 0 and 100");
+    }
+    return (collection: Collection<Key>, range?: TimeRange, previous?: Event<Key>) => {
+        const times = holdTimes(collection, fieldSpec, range, previous);
+        if (!times.length) {
+            return null;
+        }
+        const total = _.sumBy(times, ([, ms]) => ms);
+        if (total === 0) {
+            return percentile(q)(times.map(([v]) => v));
+        }
+        const sorted = times.filter(([, ms]) => ms > 0).sort((a, b) => a[0] - b[0]);
+        const target = (q / 100) * total;
+        let elapsed = 0;
+        const found = sorted.find(([, ms]) => {
+            elapsed += ms;
+            return elapsed >= target;
+        });
+        return found ? found[0] : sorted[sorted.length - 1][0];
+    };
+}
+
+/**
+ * Returns an `area()` function, for use in an `AggregationSpec`, which finds the
+ * area under the curve of a field, i.e. each value multiplied by the time it holds
+ * for, as for a `timeWeightedAvg()`. The time is measured in `unit`s, by default
+ * seconds, so the area under a rate per second is the total for the window.
+ */
+export function area(
+    fieldSpec: string | string[] = "value",
+    unit?: Duration
+): AggregationMapFunction<Key> {
+    return (collection: Collection<Key>, range?: TimeRange, previous?: Event<Key>) => {
+        const times = holdTimes(collection, fieldSpec, range, previous);
+        if (!times.length) {
+            return null;
+        }
+        return _.sumBy(times, ([v, ms]) => v * ms) / (unit ? +unit : 1000);
+    };
+}
+
+/**
+ * Returns the `PartialAggregate` for a value of a field, which is either already
+ * a `PartialAggregate` (from an earlier rollup), or a single number. Missing or
+ * non-numeric values have no state, so null is returned.
+ */
+function toPartial(value: any): PartialAggregate {
+    const v = Immutable.Map.isMap(value) ? value.toJS() : value;
+    if (_.isPlainObject(v) && _.isNumber(v.count)) {
+        return v as PartialAggregate;
+    }
+    if (util.isValid(v) && _.isNumber(v)) {
+        return { count: 1, sum: v, min: v, max: v, mean: v, m2: 0 };
+    }
+    return null;
+}
+
+/**
+ * Merges two `PartialAggregate`s, combining their variances as described in
+ * Chan et al, "Updating Formulae and a Pairwise Algorithm for Computing Sample Variances"
+ */
+function mergePartials(a: PartialAggregate, b: PartialAggregate): PartialAggregate {
+    const n = a.count + b.count;
+    const delta = b.mean - a.mean;
+    return {
+        count: n,
+        sum: a.sum + b.sum,
+        min: Math.min(a.min, b.min),
+        max: Math.max(a.max, b.max),
+        mean: a.mean + (delta * b.count) / n,
+        m2: a.m2 + b.m2 + (delta * delta * a.count * b.count) / n
+    };
+}
+
+/**
+ * Returns the `PartialAggregate` of all the values of the field in the `collection`,
+ * or null if there are none
+ */
+function collectPartials(
+    collection: Collection<Key>,
+    fieldSpec: string | string[]
+): PartialAggregate {
+    const fieldPath = util.fieldAsArray(fieldSpec);
+    return collection.eventList().reduce((state: PartialAggregate, e) => {
+        const p = toPartial(e.get(fieldPath));
+        return !p ? state : state ? mergePartials(state, p) : p;
+    }, null);
+}
+
+/**
+ * Returns an `AggregationMapFunction` which finds a final value from the
+ * `PartialAggregate` of the field
+ */
+function fromPartial(
+    fieldSpec: string | string[],
+    fn: (state: PartialAggregate) => number
+): AggregationMapFunction<Key> {
+    return (collection: Collection<Key>) => {
+        const state = collectPartials(collection, fieldSpec);
+        return state ? fn(state) : null;
+    };
+}
+
+/**
+ * Returns a `partial()` function, for use in an `AggregationSpec`, which builds
+ * the `PartialAggregate` of a field: its count, sum, min, max, mean and the sum of
+ * squared differences from the mean. The field may hold plain numbers, or the
+ * `PartialAggregate`s output by an earlier rollup, which are merged exactly.
+ *
+ * Emit the `partial()` alongside the final values of a rollup, and the final values
+ * of a later, coarser rollup can be found from it with `mergedAvg()`, `mergedSum()`,
+ * `mergedCount()`, `mergedMin()`, `mergedMax()` and `mergedStdev()`, rather than
+ * averaging the averages. This allows multi-tier downsampling without the raw data:
+ * ```
+ * const hourly = fiveMinutes.hourlyRollup({
+ *     aggregation: { value: mergedAvg("value"), state: partial("value") }
+ * });
+ * const daily = hourly.dailyRollup({
+ *     aggregation: { value: mergedAvg("state"), state: partial("state") }
+ * });
+ * ```
+ */
+export function partial(fieldSpec: string | string[] = "value"): AggregationMapFunction<Key> {
+    return (collection: Collection<Key>) => collectPartials(collection, fieldSpec);
+}
+
+/**
+ * Returns a `mergedCount()` function, which counts the values of a
+ * field holding numbers or `PartialAggregate`s
+ */
+export function mergedCount(fieldSpec: string | string[] = "value"): AggregationMapFunction<Key> {
+    return fromPartial(fieldSpec, state => state.count);
+}
+
+/**
+ * Returns a `mergedSum()` function, which totals the values of a
+ * field holding numbers or `PartialAggregate`s
+ */
+export function mergedSum(fieldSpec: string | string[] = "value"): AggregationMapFunction<Key> {
+    return fromPartial(fieldSpec, state => state.sum);
+}
+
+/**
+ * Returns a `mergedAvg()` function, which averages the values of a
+ * field holding numbers or `PartialAggregate`s
+ */
+export function mergedAvg(fieldSpec: string | string[] = "value"): AggregationMapFunction<Key> {
+    return fromPartial(fieldSpec, state => state.sum / state.count);
+}
+
+/**
+ * Returns a `mergedMin()` function, which finds the smallest value of a
+ * field holding numbers or `PartialAggregate`s
+ */
+export function mergedMin(fieldSpec: string | string[] = "value"): AggregationMapFunction<Key> {
+    return fromPartial(fieldSpec, state => state.min);
+}
+
+/**
+ * Returns a `mergedMax()` function, which finds the largest value of a
+ * field holding numbers or `PartialAggregate`s
+ */
+export function mergedMax(fieldSpec: string | string[] = "value"): AggregationMapFunction<Key> {
+    return fromPartial(fieldSpec, state => state.max);
+}
+
+/**
+ * Returns a `mergedStdev()` function, which finds the standard deviation, as
+ * for `stdev()`, of the values of a field holding numbers or `PartialAggregate`s
+ */
+export function mergedStdev(fieldSpec: string | string[] = "value"): AggregationMapFunction<Key> {
+    return fromPartial(fieldSpec, state => Math.sqrt(state.m2 / state.count));
+}
+
 export const filter = {
     keepMissing,
     ignoreMissing,
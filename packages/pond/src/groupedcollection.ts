@@ -217,7 +217,7 @@ export class GroupedCollection<T extends Key> {
      *     .window({ window: w });
      * ```
      */
-    public window(windowOptions: WindowingOptions): WindowedCollection<T> {
+    public window(windowOptions: WindowingOptions<T>): WindowedCollection<T> {
         return new WindowedCollection(windowOptions, this.collections);
     }
 
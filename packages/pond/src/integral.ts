@@ -0,0 +1,103 @@
+/**
+ *  Copyright (c) 2017, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import * as Immutable from "immutable";
+import * as _ from "lodash";
+
+import { Event } from "./event";
+import { Key } from "./key";
+import { Processor } from "./processor";
+import util from "./util";
+
+import { IntegralOptions } from "./types";
+
+/**
+ * A `Processor` which integrates the given fields over time, emitting the running
+ * total of the area under the curve for each incoming `Event`. The values are taken
+ * to be per `unit` of time, so integrating a rate in bytes per second gives the total
+ * number of bytes. The resulting fields have an "_integral" suffix, e.g.
+ * "in_integral" for an "in" field.
+ *
+ * An `Event` keyed by a `TimeRange` or `Index`, such as the output of `rate()`, adds
+ * its value over the whole of its range. Between `Event`s keyed by a `Time` the area
+ * is found with the trapezoidal rule, so the first has a total of 0.
+ *
+ * Where a value is missing its area can't be found, so it is skipped, and the total
+ * carries on from the next good value, or for a `Time` the next good pair of values.
+ *
+ * Options:
+ *  * `fieldSpec` - the field or fields to integrate
+ *  * `unit` - the `Duration` the values are per, which defaults to one second
+ */
+export class Integral<T extends Key> extends Processor<T, T> {
+    // Internal state
+    private fieldSpec: string[];
+    private unit: number;
+
+    private previous: Event<T>;
+    private totals: { [pathKey: string]: number };
+
+    constructor(options: IntegralOptions) {
+        super();
+        const { fieldSpec, unit } = options;
+
+        // Options
+        this.fieldSpec = _.isString(fieldSpec) ? [fieldSpec] : fieldSpec;
+        this.unit = unit ? +unit : 1000;
+
+        // Previous event, and the running totals
+        this.previous = null;
+        this.totals = {};
+    }
+
+    /**
+     * Forgets the running totals, so that integration can begin again.
+     */
+    public flush(): Immutable.List<Event<T>> {
+        this.previous = null;
+        this.totals = {};
+        return Immutable.List<Event<T>>();
+    }
+
+    /**
+     * Adds the area under this `Event`, or between the previous `Event` and this
+     * one, to the running totals, and emits them.
+     */
+    public addEvent(event: Event<T>): Immutable.List<Event<T>> {
+        const previous = this.previous;
+        this.previous = event;
+        const isRange = event.keyType() !== "time";
+
+        let d = Immutable.Map<string, any>();
+        this.fieldSpec.forEach(path => {
+            const fieldPath = util.fieldAsArray(path);
+            const pathKey = fieldPath.join(":");
+            const integralPath = fieldPath.slice();
+            integralPath[integralPath.length - 1] += "_integral";
+
+            let total = this.totals[pathKey] || 0;
+            const currentVal = event.get(fieldPath);
+            if (isRange && _.isNumber(currentVal)) {
+                const deltaTime = (+event.end() - +event.begin()) / this.unit;
+                total += currentVal * deltaTime;
+            } else if (!isRange && previous) {
+                const previousVal = previous.get(fieldPath);
+                if (_.isNumber(currentVal) && _.isNumber(previousVal)) {
+                    const deltaTime = (+event.timestamp() - +previous.timestamp()) / this.unit;
+                    total += ((previousVal + currentVal) / 2) * deltaTime;
+                }
+            }
+            this.totals[pathKey] = total;
+            d = d.setIn(integralPath, total);
+        });
+
+        return Immutable.List([new Event<T>(event.getKey(), d)]);
+    }
+}
@@ -5,32 +5,86 @@ import { Base } from "./base";
 import { Event } from "./event";
 import { Index, index } from "./index";
 import { Key } from "./key";
+import { Time, time } from "./time";
 import { TimeRange } from "./timerange";
 
 import { Align } from "./align";
+import { Anomaly } from "./anomaly";
 import { Collapse } from "./collapse";
+import { Delta } from "./delta";
+import { Derivative } from "./derivative";
 import { Fill } from "./fill";
+import { Integral } from "./integral";
 import { Rate } from "./rate";
 import { Reducer } from "./reduce";
 import { Select } from "./select";
+import { Smooth } from "./smooth";
+import { Threshold } from "./threshold";
 
+import { Collection } from "./collection";
+import { GroupingFunction } from "./groupedcollection";
 import { WindowedCollection } from "./windowedcollection";
 
 import {
+    Aggregation,
     AggregationSpec,
-    AggregationTuple,
     AlignmentOptions,
+    AnomalyOptions,
+    Clock,
     CollapseOptions,
+    DeltaOptions,
+    DerivativeOptions,
     EventCallback,
     FillOptions,
+    IntegralOptions,
     KeyedCollection,
     KeyedCollectionCallback,
+    MergeOptions,
     RateOptions,
     ReduceOptions,
     SelectOptions,
+    SmoothOptions,
+    StreamJoinOptions,
+    ThresholdOptions,
+    Trigger,
     WindowingOptions
 } from "./types";
 
+/**
+ * The default `Clock` for wall clock triggers. Its timers don't keep a
+ * Node.js process running by themselves.
+ */
+const systemClock: Clock = {
+    now: () => Date.now(),
+    setInterval: (callback: () => void, ms: number) => {
+        const handle: any = setInterval(callback, ms);
+        if (handle && _.isFunction(handle.unref)) {
+            handle.unref();
+        }
+        return handle;
+    },
+    clearInterval: (handle: any) => clearInterval(handle)
+};
+
+/**
+ * Returns true if the result of a callback is a Promise (or at least, thenable)
+ */
+function isPromise(result: any): boolean {
+    return !!result && _.isFunction(result.then);
+}
+
+/**
+ * Combines the results of passing outputs downstream. If any of them are a Promise,
+ * because an output callback was asynchronous, this returns a Promise which
+ * resolves once they have all resolved. Otherwise it returns nothing.
+ */
+function whenAll(results: Array<Promise<void> | void>): Promise<void> | void {
+    const pending = results.filter(isPromise);
+    if (pending.length > 0) {
+        return Promise.all(pending).then(() => undefined);
+    }
+}
+
 /**
  * @private
  *
@@ -44,6 +98,11 @@ import {
  * `S` and `T` maybe the same if the input and output types are expected
  * to be the same. The result of `process`, of type `T`, is returned and
  * the passed onto other downstream Nodes, by calling their `set()` methods.
+ *
+ * Processing is synchronous, but output `Node`s may have asynchronous callbacks.
+ * If they do, `set()` returns a Promise which resolves once every output reached
+ * by the input has finished with it. This is how backpressure is passed back
+ * up the tree to the source of the `Event`s.
  */
 // tslint:disable-next-line:max-classes-per-file
 export abstract class Node<S extends Base, T extends Base> {
@@ -53,22 +112,53 @@ export abstract class Node<S extends Base, T extends Base> {
         this.observers = this.observers.push(node);
     }
 
-    public set(input: S) {
+    public set(input: S): Promise<void> | void {
+        const results = [];
         const outputs = this.process(input);
         if (outputs) {
-            outputs.forEach(output => this.notify(output));
+            outputs.forEach(output => {
+                results.push(this.notify(output));
+            });
         }
+        return whenAll(results);
+    }
+
+    /**
+     * Signals that there is no more input. Any outputs this `Node` was still
+     * holding onto are passed downstream, then the flush itself is passed
+     * down to each observer. A `Node` with several inputs is also told which
+     * `input` the flush came from, as tagged by a `TagNode`.
+     */
+    public flush(input?: number): Promise<void> | void {
+        const results = [];
+        this.processFlush().forEach(output => {
+            results.push(this.notify(output));
+        });
+        this.observers.forEach(node => {
+            results.push(node.flush());
+        });
+        return whenAll(results);
     }
 
-    protected notify(output: T): void {
+    protected notify(output: T): Promise<void> | void {
+        const results = [];
         if (this.observers.size > 0) {
             this.observers.forEach(node => {
-                node.set(output);
+                results.push(node.set(output));
             });
         }
+        return whenAll(results);
     }
 
     protected abstract process(input: S): Immutable.List<T>;
+
+    /**
+     * Returns any pending outputs when the `Node` is flushed. Nodes which hold
+     * state between inputs override this. By default there are none.
+     */
+    protected processFlush(): Immutable.List<T> {
+        return Immutable.List<T>();
+    }
 }
 
 //
@@ -121,8 +211,10 @@ export class EventOutputNode<T extends Key> extends Node<Event<T>, Event<T>> {
     constructor(private callback: EventCallback<T>) {
         super();
     }
+    public set(e: Event<T>): Promise<void> | void {
+        return whenAll([this.callback(e)]);
+    }
     process(e: Event<T>) {
-        this.callback(e);
         return Immutable.List();
     }
 }
@@ -139,9 +231,11 @@ export class KeyedCollectionOutputNode<T extends Key> extends Node<
     constructor(private callback: KeyedCollectionCallback<T>) {
         super();
     }
-    process(keyedCollection: KeyedCollection<T>) {
+    public set(keyedCollection: KeyedCollection<T>): Promise<void> | void {
         const [key, collection] = keyedCollection;
-        this.callback(collection, key);
+        return whenAll([this.callback(collection, key)]);
+    }
+    process(keyedCollection: KeyedCollection<T>) {
         return Immutable.List();
     }
 }
@@ -207,6 +301,10 @@ export class FillNode<T extends Key> extends Node<Event<T>, Event<T>> {
     process(e: Event<T>) {
         return this.processor.addEvent(e);
     }
+
+    processFlush() {
+        return this.processor.flush();
+    }
 }
 
 /**
@@ -224,6 +322,10 @@ export class AlignNode<T extends Key> extends Node<Event<T>, Event<T>> {
     process(e: Event<T>) {
         return this.processor.addEvent(e);
     }
+
+    processFlush() {
+        return this.processor.flush();
+    }
 }
 
 /**
@@ -275,6 +377,136 @@ export class RateNode<T extends Key> extends Node<Event<T>, Event<TimeRange>> {
     process(e: Event<T>) {
         return this.processor.addEvent(e);
     }
+
+    processFlush() {
+        return this.processor.flush();
+    }
+}
+
+/**
+ * @private
+ *
+ */
+// tslint:disable-next-line:max-classes-per-file
+export class DeltaNode<T extends Key> extends Node<Event<T>, Event<T>> {
+    private processor: Delta<T>;
+    constructor(options: DeltaOptions) {
+        super();
+        this.processor = new Delta<T>(options);
+    }
+
+    process(e: Event<T>) {
+        return this.processor.addEvent(e);
+    }
+
+    processFlush() {
+        return this.processor.flush();
+    }
+}
+
+/**
+ * @private
+ *
+ */
+// tslint:disable-next-line:max-classes-per-file
+export class DerivativeNode<T extends Key> extends Node<Event<T>, Event<T>> {
+    private processor: Derivative<T>;
+    constructor(options: DerivativeOptions) {
+        super();
+        this.processor = new Derivative<T>(options);
+    }
+
+    process(e: Event<T>) {
+        return this.processor.addEvent(e);
+    }
+
+    processFlush() {
+        return this.processor.flush();
+    }
+}
+
+/**
+ * @private
+ *
+ */
+// tslint:disable-next-line:max-classes-per-file
+export class IntegralNode<T extends Key> extends Node<Event<T>, Event<T>> {
+    private processor: Integral<T>;
+    constructor(options: IntegralOptions) {
+        super();
+        this.processor = new Integral<T>(options);
+    }
+
+    process(e: Event<T>) {
+        return this.processor.addEvent(e);
+    }
+
+    processFlush() {
+        return this.processor.flush();
+    }
+}
+
+/**
+ * @private
+ *
+ */
+// tslint:disable-next-line:max-classes-per-file
+export class SmoothNode<T extends Key> extends Node<Event<T>, Event<T>> {
+    private processor: Smooth<T>;
+    constructor(options: SmoothOptions) {
+        super();
+        this.processor = new Smooth<T>(options);
+    }
+
+    process(e: Event<T>) {
+        return this.processor.addEvent(e);
+    }
+
+    processFlush() {
+        return this.processor.flush();
+    }
+}
+
+/**
+ * @private
+ *
+ */
+// tslint:disable-next-line:max-classes-per-file
+export class AnomalyNode<T extends Key> extends Node<Event<T>, Event<T>> {
+    private processor: Anomaly<T>;
+    constructor(options: AnomalyOptions) {
+        super();
+        this.processor = new Anomaly<T>(options);
+    }
+
+    process(e: Event<T>) {
+        return this.processor.addEvent(e);
+    }
+
+    processFlush() {
+        return this.processor.flush();
+    }
+}
+
+/**
+ * @private
+ *
+ */
+// tslint:disable-next-line:max-classes-per-file
+export class ThresholdNode<T extends Key> extends Node<Event<T>, Event<TimeRange>> {
+    private processor: Threshold<T>;
+    constructor(options: ThresholdOptions) {
+        super();
+        this.processor = new Threshold<T>(options);
+    }
+
+    process(e: Event<T>) {
+        return this.processor.addEvent(e);
+    }
+
+    processFlush() {
+        return this.processor.flush();
+    }
 }
 
 /**
@@ -294,6 +526,193 @@ export class ReduceNode<T extends Key> extends Node<Event<T>, Event<T>> {
     }
 }
 
+/**
+ * @private
+ *
+ * Tags each `Event` from one of the streams feeding a `JoinNode` or `MergeNode`
+ * with the index of the `input` it came from. For a join, 0 is the left and 1
+ * is the right.
+ */
+// tslint:disable-next-line:max-classes-per-file
+export class TagNode<T extends Key> extends Node<Event<T>, [number, Event<Key>]> {
+    constructor(private input: number) {
+        super();
+    }
+
+    /**
+     * Passes the flush on, tagged with the `input` it came from
+     */
+    public flush(): Promise<void> | void {
+        return whenAll(this.observers.map(node => node.flush(this.input)).toArray());
+    }
+
+    process(e: Event<T>): Immutable.List<[number, Event<Key>]> {
+        return Immutable.List<[number, Event<Key>]>([[this.input, e]]);
+    }
+}
+
+/**
+ * @private
+ *
+ * Joins `Event`s from two streams, each tagged with its side by a `TagNode`.
+ * Each incoming `Event` is matched against those buffered from the other side,
+ * either by key or within the `tolerance`. A match is output as a single `Event`
+ * and removed from the buffer, otherwise the `Event` is buffered to wait for one.
+ */
+// tslint:disable-next-line:max-classes-per-file
+export class JoinNode<T extends Key> extends Node<[number, Event<Key>], Event<T>> {
+    private buffers: Array<Immutable.List<Event<Key>>>;
+    private latest: number = null;
+    private flushed = Immutable.Set<number>();
+    constructor(private options: StreamJoinOptions) {
+        super();
+        const { tolerance, buffer = tolerance, prefix = ["left", "right"] } = options;
+        if (!prefix || prefix.length !== 2) {
+            throw new Error("join prefix must be a pair of strings, for the left and right");
+        }
+        if (!buffer) {
+            throw new Error("join needs a buffer, or a tolerance, for Events to wait for a match");
+        }
+        this.buffers = [Immutable.List(), Immutable.List()];
+    }
+
+    /**
+     * The join is flushed by both of its streams, so the flush is only passed
+     * downstream once both sides have been flushed.
+     */
+    public flush(input?: number): Promise<void> | void {
+        this.flushed = this.flushed.add(input);
+        if (this.flushed.size < 2) {
+            return;
+        }
+        this.flushed = Immutable.Set<number>();
+        return super.flush();
+    }
+
+    process(input: [number, Event<Key>]): Immutable.List<Event<T>> {
+        const { tolerance, buffer = tolerance } = this.options;
+        const [side, e] = input;
+        const t = +e.timestamp();
+        this.latest = this.latest === null ? t : Math.max(this.latest, t);
+
+        // Drop buffered Events which have waited too long for a match
+        const horizon = this.latest - +buffer;
+        this.buffers = this.buffers.map(b => b.filter(evt => +evt.timestamp() >= horizon));
+
+        // Look for the matching Event from the other side, or the
+        // closest one when matching within the tolerance
+        const other = this.buffers[1 - side];
+        let matchIndex = -1;
+        let closest: number;
+        other.forEach((candidate, i) => {
+            if (tolerance) {
+                const distance = Math.abs(+candidate.timestamp() - t);
+                if (distance <= +tolerance && (matchIndex < 0 || distance < closest)) {
+                    matchIndex = i;
+                    closest = distance;
+                }
+            } else if (candidate.getKey().toString() === e.getKey().toString()) {
+                matchIndex = i;
+                return false;
+            }
+        });
+
+        if (matchIndex < 0) {
+            if (t >= horizon) {
+                this.buffers[side] = this.buffers[side].push(e);
+            }
+            return Immutable.List<Event<T>>();
+        }
+
+        const match = other.get(matchIndex);
+        this.buffers[1 - side] = other.delete(matchIndex);
+        return Immutable.List<Event<T>>([
+            side === 0 ? this.joined(e, match) : this.joined(match, e)
+        ]);
+    }
+
+    processFlush() {
+        this.buffers = [Immutable.List(), Immutable.List()];
+        this.latest = null;
+        return Immutable.List<Event<T>>();
+    }
+
+    /**
+     * Combines the data of a left and right `Event` under the left `Event`'s key,
+     * prefixing any fields found in both.
+     */
+    private joined(l: Event<Key>, r: Event<Key>): Event<T> {
+        const { prefix = ["left", "right"] } = this.options;
+        const [leftPrefix, rightPrefix] = prefix;
+        const leftData = l.getData();
+        const rightData = r.getData();
+        const d = {};
+        leftData.forEach((value, field) => {
+            d[rightData.has(field) ? `${leftPrefix}_${field}` : field] = value;
+        });
+        rightData.forEach((value, field) => {
+            d[leftData.has(field) ? `${rightPrefix}_${field}` : field] = value;
+        });
+        return new Event<T>(l.getKey() as T, Immutable.Map(d));
+    }
+}
+
+/**
+ * @private
+ *
+ * Merges `Event`s from several streams, each tagged with its input by a `TagNode`.
+ * Unless the merge is `ordered` each `Event` is passed straight through. Otherwise
+ * `Event`s are held until every input has moved past them, then output in time order.
+ */
+// tslint:disable-next-line:max-classes-per-file
+export class MergeNode<T extends Key> extends Node<[number, Event<Key>], Event<T>> {
+    private pending = Immutable.List<Event<T>>();
+    private latest: Immutable.Map<number, number> = Immutable.Map<number, number>();
+    private flushed = Immutable.Set<number>();
+    constructor(private inputs: number, private options: MergeOptions) {
+        super();
+    }
+
+    /**
+     * The merge is flushed by each of its streams, so the flush is only passed
+     * downstream once every one of them has been flushed.
+     */
+    public flush(input?: number): Promise<void> | void {
+        this.flushed = this.flushed.add(input);
+        if (this.flushed.size < this.inputs) {
+            return;
+        }
+        this.flushed = Immutable.Set<number>();
+        return super.flush();
+    }
+
+    process(input: [number, Event<Key>]): Immutable.List<Event<T>> {
+        const [i, e] = input;
+        if (!this.options.ordered) {
+            return Immutable.List<Event<T>>([e as Event<T>]);
+        }
+        const t = +e.timestamp();
+        this.latest = this.latest.set(i, Math.max(this.latest.get(i, t), t));
+        this.pending = this.pending.push(e as Event<T>);
+
+        // Nothing can be output until each input has had an Event
+        if (this.latest.size < this.inputs) {
+            return Immutable.List<Event<T>>();
+        }
+        const watermark = this.latest.min();
+        const ready = this.pending.filter(evt => +evt.timestamp() <= watermark);
+        this.pending = this.pending.filter(evt => +evt.timestamp() > watermark);
+        return ready.sortBy(evt => +evt.timestamp()).toList();
+    }
+
+    processFlush() {
+        const remaining = this.pending.sortBy(evt => +evt.timestamp()).toList();
+        this.pending = Immutable.List<Event<T>>();
+        this.latest = Immutable.Map<number, number>();
+        return remaining;
+    }
+}
+
 /**
  * @private
  *
@@ -301,15 +720,115 @@ export class ReduceNode<T extends Key> extends Node<Event<T>, Event<T>> {
 // tslint:disable-next-line:max-classes-per-file
 export class WindowOutputNode<T extends Key> extends Node<Event<T>, KeyedCollection<T>> {
     private processor: WindowedCollection<T>;
-    constructor(options: WindowingOptions) {
+    private timer: any = null;
+    // Outputs from the timer which are still being handled, and any error from them
+    private ticking: Promise<void> = null;
+    private timerError: any = null;
+    constructor(
+        private options: WindowingOptions<T>,
+        group?: string | string[] | GroupingFunction<T>
+    ) {
         super();
-        this.processor = new WindowedCollection<T>(options);
+        this.processor = new WindowedCollection<T>(options, group);
+    }
+
+    /**
+     * Returns the watermark of the windows, see `WindowedCollection.watermark()`
+     */
+    public watermark(): Time {
+        return this.processor.watermark();
+    }
+
+    /**
+     * Returns the timezone of the window, which its window keys are in
+     */
+    public timezone(): string {
+        return this.options.window.timezone();
+    }
+
+    public set(input: Event<T>): Promise<void> | void {
+        return this.afterTimer(() => super.set(input));
+    }
+
+    public flush(): Promise<void> | void {
+        return this.afterTimer(() => super.flush());
     }
 
     process(e: Event<T>): Immutable.List<KeyedCollection<T>> {
+        this.startTimer();
         const keyedCollections = this.processor.addEvent(e);
         return keyedCollections;
     }
+
+    processFlush() {
+        this.stopTimer();
+        return this.processor.flush();
+    }
+
+    /**
+     * For the wall clock triggers, starts the timer which emits windows
+     * between `Event`s. The timer is started with the first `Event`, and
+     * stopped again when the stream is flushed.
+     */
+    private startTimer() {
+        const { trigger, interval, clock = systemClock } = this.options;
+        const isWallClock = trigger === Trigger.perInterval || trigger === Trigger.onProcessingTime;
+        if (!isWallClock || this.timer !== null) {
+            return;
+        }
+        const tick = () => {
+            try {
+                const results = this.processor
+                    .onTimer(time(clock.now()))
+                    .map(output => this.notify(output))
+                    .toArray();
+                const pending = whenAll(results);
+                if (pending) {
+                    const previous = this.ticking || Promise.resolve();
+                    this.ticking = previous
+                        .then(() => pending)
+                        .catch(err => {
+                            this.timerError = this.timerError || err;
+                        });
+                }
+            } catch (err) {
+                this.timerError = this.timerError || err;
+            }
+        };
+        this.timer = clock.setInterval(tick, interval ? +interval : 1000);
+    }
+
+    /**
+     * The timer has no caller to pass its outputs back to, so instead the next
+     * input or flush raises any error from them. The input is still processed
+     * straight away, so that inputs keep their order, but if the outputs are
+     * still being handled the result waits for them before raising the error.
+     */
+    private afterTimer(fn: () => Promise<void> | void): Promise<void> | void {
+        const raise = () => {
+            const err = this.timerError;
+            if (err) {
+                this.timerError = null;
+                throw err;
+            }
+        };
+        raise();
+        const result = fn();
+        if (this.ticking) {
+            const ticking = this.ticking;
+            this.ticking = null;
+            return Promise.all([ticking, result]).then(raise);
+        }
+        return result;
+    }
+
+    private stopTimer() {
+        if (this.timer !== null) {
+            const { clock = systemClock } = this.options;
+            clock.clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
 }
 
 /**
@@ -318,20 +837,69 @@ export class WindowOutputNode<T extends Key> extends Node<Event<T>, KeyedCollect
  */
 // tslint:disable-next-line:max-classes-per-file
 export class AggregationNode<T extends Key> extends Node<KeyedCollection<T>, Event<Index>> {
-    constructor(private aggregationSpec: AggregationSpec<Key>) {
+    // Per group, the last `Event` of the windows which have ended, and the latest
+    // collection of each window which is still open, kept to find the last `Event`
+    // before a window for aggregation functions
+    private ended: { [groupKey: string]: Event<T> } = {};
+    private windows: { [groupKey: string]: Immutable.Map<string, Collection<T>> } = {};
+
+    constructor(private aggregationSpec: AggregationSpec<Key>, private timezone = "Etc/UTC") {
         super();
     }
 
     process(keyedCollection: KeyedCollection<T>): Immutable.List<Event<Index>> {
         const [group, collection] = keyedCollection;
-        const d = {};
         const [groupKey, windowKey] =
             group.split("::").length === 2 ? group.split("::") : [null, group];
-        _.forEach(this.aggregationSpec, (src: AggregationTuple, dest: string) => {
-            const [srcField, reducer] = src;
-            d[dest] = collection.aggregate(reducer, srcField);
+        const d = groupKey ? { group: groupKey } : {};
+        const eventKey = index(windowKey, this.timezone);
+        const range = eventKey.toTimeRange();
+        const previous = _.some(this.aggregationSpec, _.isFunction)
+            ? this.previousEvent(groupKey, windowKey, collection, range)
+            : null;
+        _.forEach(this.aggregationSpec, (src: Aggregation<Key>, dest: string) => {
+            if (!_.isFunction(src)) {
+                const [srcField, reducer] = src;
+                d[dest] = collection.aggregate(reducer, srcField);
+            } else {
+                d[dest] = src(collection, range, previous);
+            }
         });
-        const indexedEvent = new Event<Index>(index(windowKey), Immutable.fromJS(d));
+        const indexedEvent = new Event<Index>(eventKey, Immutable.fromJS(d));
         return Immutable.List<Event<Index>>([indexedEvent]);
     }
+
+    /**
+     * Returns the latest `Event` before the beginning of the window `range`
+     * among the windows of the group seen so far. Windows which ended before
+     * this one began are then folded into the last `Event` of the ended
+     * windows, so only the windows still open need to be searched. A window
+     * which arrives after later windows have ended can't see those.
+     */
+    private previousEvent(
+        groupKey: string,
+        windowKey: string,
+        collection: Collection<T>,
+        range: TimeRange
+    ): Event<T> {
+        const later = (a: Event<T>, b: Event<T>) =>
+            b && (!a || +b.timestamp() > +a.timestamp()) ? b : a;
+        const begin = +range.begin();
+        let ended = this.ended[groupKey] || null;
+        let previous: Event<T> = null;
+        const windows = (this.windows[groupKey] || Immutable.Map<string, Collection<T>>())
+            .set(windowKey, collection)
+            .filter((c, key) => {
+                if (+index(key, this.timezone).end() <= begin) {
+                    ended = later(ended, c.eventList().last());
+                    return false;
+                }
+                const before = c.eventList().findLast(e => +e.timestamp() < begin);
+                previous = later(previous, before);
+                return true;
+            });
+        this.ended[groupKey] = ended;
+        this.windows[groupKey] = windows;
+        return later(ended && +ended.timestamp() < begin ? ended : null, previous);
+    }
 }
@@ -29,4 +29,13 @@ import { Key } from "./key";
  */
 export abstract class Processor<T extends Key, S extends Key> {
     abstract addEvent(event: Event<T>, options?: any): Immutable.List<Event<S>>;
+
+    /**
+     * Called when there will be no more `Event`s. Returns any `Event`s the
+     * processor is still holding onto and resets its state. By default there
+     * are none.
+     */
+    public flush(): Immutable.List<Event<S>> {
+        return Immutable.List<Event<S>>();
+    }
 }
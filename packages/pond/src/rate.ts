@@ -17,7 +17,7 @@ import { Processor } from "./processor";
 import { TimeRange, timerange } from "./timerange";
 import util from "./util";
 
-import { RateOptions } from "./types";
+import { CounterReset, RateOptions } from "./types";
 
 /**
  * A `Processor` to take the derivative of the incoming `Event`s
@@ -28,37 +28,72 @@ import { RateOptions } from "./types";
  * This is useful when a negative rate would be considered invalid like an
  * ever increasing counter.
  *
+ * Alternatively the fields can be treated as counters, such as SNMP interface
+ * counters, by giving the `counterMax` at which they wrap back to zero. A drop
+ * in the counter is then either a wrap, in which case the rate is calculated across
+ * the wrap, or a reset (e.g. the device rebooted). A drop is only considered a wrap
+ * if it is more than half the counter's range, and if given, the rate across the wrap
+ * is no more than the `maxRate`. What is emitted for a reset is set with the `reset`
+ * policy, either `null` or the rate since the reset.
+ *
  * To control the rate calculation you need to specify a `RateOptions` object
  * in the constuctor, which takes the following form:
  * ```
  * {
  *     fieldSpec: string | string[];
  *     allowNegative?: boolean;
+ *     counterMax?: number;
+ *     maxRate?: number;
+ *     reset?: CounterReset;
  * }
  * ```
  * Options:
  *  * `fieldSpec` - the field to calculate the rate on
  *  * `allowNegative` - allow emit of negative rates
+ *  * `counterMax` - the value at which a counter wraps, e.g. Math.pow(2, 32)
+ *  * `maxRate` - the highest believable rate for a counter
+ *  * `reset` - `CounterReset.Null` (the default) or `CounterReset.Value`
  */
 export class Rate<T extends Key> extends Processor<T, TimeRange> {
     // Internal state
     private fieldSpec: string[];
     private allowNegative: boolean;
+    private counterMax: number;
+    private maxRate: number;
+    private reset: CounterReset;
 
     private previous: Event<T>;
 
     constructor(options: RateOptions) {
         super();
-        const { fieldSpec, allowNegative = false } = options;
+        const {
+            fieldSpec,
+            allowNegative = false,
+            counterMax = null,
+            maxRate = null,
+            reset = CounterReset.Null
+        } = options;
 
         // Options
         this.fieldSpec = _.isString(fieldSpec) ? [fieldSpec] : fieldSpec;
         this.allowNegative = allowNegative;
+        this.counterMax = counterMax;
+        this.maxRate = maxRate;
+        this.reset = reset;
 
         // Previous event
         this.previous = null;
     }
 
+    /**
+     * A rate needs a following `Event`, so this just forgets the last
+     * `Event` so that rates can begin again.
+     */
+    public flush(): Immutable.List<Event<TimeRange>> {
+        this.previous = null;
+        return Immutable.List<Event<TimeRange>>();
+    }
+
     /**
      * Perform the rate operation on the `Event` and the the `_previous`
      * `Event` and emit the result.
@@ -103,8 +138,11 @@ export class Rate<T extends Key> extends Processor<T, TimeRange> {
             let rate = null;
 
             if (_.isNumber(currentVal) && _.isNumber(previousVal)) {
-                // Calculate the rate
-                rate = (currentVal - previousVal) / deltaTime;
+                // Calculate the rate, allowing for a counter going backwards
+                rate =
+                    this.counterMax && currentVal < previousVal
+                        ? this.getCounterRate(previousVal, currentVal, deltaTime)
+                        : (currentVal - previousVal) / deltaTime;
             } else if (
                 (previousVal !== null && !_.isNumber(previousVal)) ||
                 (currentVal !== null && !_.isNumber(currentVal))
@@ -122,4 +160,19 @@ export class Rate<T extends Key> extends Processor<T, TimeRange> {
 
         return new Event(timerange(previousTime, currentTime), d);
     }
+
+    /**
+     * The rate of a counter which has gone backwards between two `Event`s,
+     * which is either because it wrapped around or because it was reset.
+     */
+    private getCounterRate(previousVal: number, currentVal: number, deltaTime: number): number {
+        const wrappedRate = (this.counterMax - previousVal + currentVal) / deltaTime;
+        const isWrap =
+            previousVal - currentVal > this.counterMax / 2 &&
+            (_.isNull(this.maxRate) || wrappedRate <= this.maxRate);
+        if (isWrap) {
+            return wrappedRate;
+        }
+        return this.reset === CounterReset.Value ? currentVal / deltaTime : null;
+    }
 }
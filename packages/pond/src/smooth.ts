@@ -0,0 +1,175 @@
+/**
+ *  Copyright (c) 2017, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import * as Immutable from "immutable";
+import * as _ from "lodash";
+
+import { Duration } from "./duration";
+import { Event } from "./event";
+import { Key } from "./key";
+import { Processor } from "./processor";
+import util from "./util";
+
+import { SmoothingMethod, SmoothOptions } from "./types";
+
+/**
+ * The smoothing state kept for each field
+ */
+interface SmoothingState {
+    time: number;
+    level: number;
+    trend: number;
+    samples: Array<[number, number]>;
+}
+
+/**
+ * A `Processor` which smooths the values of the given fields, replacing each
+ * value with its smoothed value. Missing or non-numeric values are passed
+ * through untouched and don't affect the smoothing.
+ *
+ * To control the smoothing you need to specify a `SmoothOptions` object
+ * in the constructor, which takes the following form:
+ * ```
+ * {
+ *     fieldSpec: string | string[];
+ *     method?: SmoothingMethod;
+ *     alpha?: number;
+ *     halfLife?: Duration;
+ *     beta?: number;
+ *     window?: Duration;
+ * }
+ * ```
+ * Options:
+ *  * `fieldSpec` - the field or fields to smooth
+ *  * `method` - `SmoothingMethod.Ewma` (the default), `SmoothingMethod.MovingAverage`
+ *    or `SmoothingMethod.Holt`
+ *  * `alpha` - for `Ewma` and `Holt`, the weight given to each new value
+ *  * `halfLife` - for `Ewma` and `Holt`, a `Duration` over which the weight of
+ *    a value halves. Use this rather than `alpha` if the `Event`s are irregularly
+ *    spaced, since a value then counts for more the longer it has been since the last.
+ *    A value at the same time as the last, or out of order, is given no weight.
+ *  * `beta` - for `Holt`, the weight given to each new trend, which defaults to the
+ *    weight given to the value. The trend is per second.
+ *  * `window` - for `MovingAverage`, the `Duration` of the trailing window to average
+ */
+export class Smooth<T extends Key> extends Processor<T, T> {
+    // Options
+    private fieldSpec: string[];
+    private method: SmoothingMethod;
+    private alpha: number;
+    private halfLife: Duration;
+    private beta: number;
+    private window: Duration;
+
+    // Internal state
+    private state: { [pathKey: string]: SmoothingState };
+
+    constructor(options: SmoothOptions) {
+        super();
+        const { fieldSpec, method = SmoothingMethod.Ewma, alpha, halfLife, beta, window } = options;
+
+        // Options
+        this.fieldSpec = _.isString(fieldSpec) ? [fieldSpec] : fieldSpec;
+        this.method = method;
+        this.alpha = alpha;
+        this.halfLife = halfLife;
+        this.beta = beta;
+        this.window = window;
+
+        if (this.method === SmoothingMethod.MovingAverage) {
+            if (!this.window) {
+                throw new Error("A moving average requires a window Duration");
+            }
+        } else if (!this.halfLife && !(this.alpha > 0 && this.alpha <= 1)) {
+            throw new Error("Smoothing requires either an alpha between 0 and 1, or a halfLife");
+        }
+        if (!_.isUndefined(this.beta) && !(this.beta > 0 && this.beta <= 1)) {
+            throw new Error("Smoothing beta must be between 0 and 1");
+        }
+
+        this.state = {};
+    }
+
+    /**
+     * Forgets the smoothed values, so that smoothing can begin again.
+     */
+    public flush(): Immutable.List<Event<T>> {
+        this.state = {};
+        return Immutable.List<Event<T>>();
+    }
+
+    /**
+     * Smooths the values of the `Event` and emits it.
+     */
+    public addEvent(event: Event<T>): Immutable.List<Event<T>> {
+        const t = event.timestamp().getTime();
+        let d = event.getData();
+
+        this.fieldSpec.forEach(path => {
+            const fieldPath = util.fieldAsArray(path);
+            const pathKey = fieldPath.join(":");
+            const value = d.getIn(fieldPath);
+            if (util.isMissing(value) || !_.isNumber(value)) {
+                return;
+            }
+            const previous = this.state[pathKey];
+            const current: SmoothingState = previous
+                ? this.update(previous, t, value)
+                : { time: t, level: value, trend: 0, samples: [[t, value]] };
+            this.state[pathKey] = current;
+            d = d.setIn(fieldPath, current.level);
+        });
+
+        return Immutable.List([event.setData(d)]);
+    }
+
+    /**
+     * The weight given to a new value `dt` ms after the last. With a `halfLife`
+     * this grows with the time since the last value, otherwise it is `factor`.
+     */
+    private weight(factor: number, dt: number): number {
+        return this.halfLife ? 1 - Math.pow(0.5, dt / +this.halfLife) : factor;
+    }
+
+    /**
+     * Returns the new smoothing state for a field, given its previous
+     * state and a new `value` at time `t`.
+     */
+    private update(previous: SmoothingState, t: number, value: number): SmoothingState {
+        // The time since the last value, which is never negative, even if out of order
+        const time = Math.max(t, previous.time);
+        const dt = time - previous.time;
+        switch (this.method) {
+            case SmoothingMethod.MovingAverage: {
+                const samples: Array<[number, number]> = previous.samples
+                    .filter(([ts]) => ts > t - +this.window)
+                    .concat([[t, value]]);
+                const level = _.sumBy(samples, sample => sample[1]) / samples.length;
+                return { time: t, level, trend: 0, samples };
+            }
+            case SmoothingMethod.Holt: {
+                const a = this.weight(this.alpha, dt);
+                const b = _.isUndefined(this.beta) ? a : this.beta;
+                const forecast = previous.level + (previous.trend * dt) / 1000;
+                const level = a * value + (1 - a) * forecast;
+                const trend =
+                    dt > 0
+                        ? (b * (level - previous.level)) / (dt / 1000) + (1 - b) * previous.trend
+                        : previous.trend;
+                return { time, level, trend, samples: [] };
+            }
+            default: {
+                const a = this.weight(this.alpha, dt);
+                const level = a * value + (1 - a) * previous.level;
+                return { time, level, trend: 0, samples: [] };
+            }
+        }
+    }
+}
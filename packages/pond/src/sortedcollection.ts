@@ -12,17 +12,34 @@ import * as Immutable from "immutable";
 import * as _ from "lodash";
 
 import { Align } from "./align";
+import { Anomaly } from "./anomaly";
 import { Collection } from "./collection";
+import { Delta } from "./delta";
+import { Derivative } from "./derivative";
 import { Event } from "./event";
 import { Fill } from "./fill";
 import { grouped, GroupedCollection, GroupingFunction } from "./groupedcollection";
+import { Integral } from "./integral";
 import { Key } from "./key";
 import { Rate } from "./rate";
+import { Smooth } from "./smooth";
 import { TimeRange } from "./timerange";
 import { DedupFunction } from "./types";
 import { windowed, WindowedCollection } from "./windowedcollection";
 
-import { AlignmentOptions, FillOptions, RateOptions, WindowingOptions } from "./types";
+import {
+    AlignmentOptions,
+    AnomalyOptions,
+    AsOfDirection,
+    AsOfJoinOptions,
+    DeltaOptions,
+    DerivativeOptions,
+    FillOptions,
+    IntegralOptions,
+    RateOptions,
+    SmoothOptions,
+    WindowingOptions
+} from "./types";
 
 /**
  * In general, a `Collection` is a bucket of `Event`'s, with no particular order. This,
@@ -201,6 +218,114 @@ export class SortedCollection<T extends Key> extends Collection<T> {
         return i - 1;
     }
 
+    /**
+     * Performs an as-of join of this `SortedCollection` with the `other`. For each
+     * `Event` in this `SortedCollection` the closest `Event` in time is found in
+     * the `other` (using `bisect()`), and the two are combined into a single `Event`
+     * at this `Event`'s key. This lets you line up series whose timestamps never
+     * quite agree, such as measurements from two different pollers.
+     *
+     * The `direction` controls which `Event` is matched:
+     *  * `AsOfDirection.Backward` (the default) - the most recent `Event` at or before
+     *  * `AsOfDirection.Forward` - the first `Event` at or after
+     *  * `AsOfDirection.Nearest` - whichever of those is closest, preferring the earlier
+     *
+     * If a `tolerance` `Duration` is given, a match further away than that is
+     * ignored. Unmatched `Event`s are still output, with the columns of the `other`
+     * set to `null`. Columns found in both are renamed with the `prefix` pair,
+     * just as with `TimeSeries.join()`.
+     *
+     * Example:
+     * ```
+     * const joined = collection.asOfJoin(other, {
+     *     tolerance: duration("30s"),
+     *     direction: AsOfDirection.Nearest
+     * });
+     * ```
+     */
+    public asOfJoin(
+        other: SortedCollection<Key>,
+        options: AsOfJoinOptions = {}
+    ): SortedCollection<T> {
+        const {
+            direction = AsOfDirection.Backward,
+            tolerance,
+            prefix = ["left", "right"]
+        } = options;
+        if (!prefix || prefix.length !== 2) {
+            throw new Error("join prefix must be a pair of strings, for the left and right");
+        }
+        const [leftPrefix, rightPrefix] = prefix;
+
+        const columnsOf = (collection: Collection<Key>) => {
+            const c = {};
+            collection.forEach(e => {
+                e.getData().forEach((val, key) => {
+                    c[key] = true;
+                });
+            });
+            return _.keys(c);
+        };
+        const leftColumns = columnsOf(this);
+        const rightColumns = columnsOf(other);
+        const shared = _.intersection(leftColumns, rightColumns);
+        const columnName = (column: string, p: string) =>
+            _.includes(shared, column) ? `${p}_${column}` : column;
+
+        // Both collections are sorted, so each search can begin from
+        // where the last one was found
+        let i = 0;
+        const events = this._events.map(l => {
+            const t = l.timestamp();
+            let prior: Event<Key> = null;
+            let next: Event<Key> = null;
+            if (other.size()) {
+                i = other.bisect(t, i);
+                const candidate = other.at(i);
+                if (+candidate.timestamp() <= +t) {
+                    prior = candidate;
+                    next = +candidate.timestamp() === +t ? candidate : other.at(i + 1) || null;
+                } else {
+                    next = candidate;
+                }
+            }
+
+            let match: Event<Key>;
+            switch (direction) {
+                case AsOfDirection.Backward:
+                    match = prior;
+                    break;
+                case AsOfDirection.Forward:
+                    match = next;
+                    break;
+                case AsOfDirection.Nearest:
+                    match =
+                        !next || (prior && +t - +prior.timestamp() <= +next.timestamp() - +t)
+                            ? prior
+                            : next;
+                    break;
+                default:
+                    throw new Error("Unknown as-of join direction");
+            }
+            if (match && tolerance && Math.abs(+match.timestamp() - +t) > +tolerance) {
+                match = null;
+            }
+
+            const d = {};
+            leftColumns.forEach(column => {
+                d[columnName(column, leftPrefix)] = l.getData().get(column, null);
+            });
+            rightColumns.forEach(column => {
+                d[columnName(column, rightPrefix)] = match
+                    ? match.getData().get(column, null)
+                    : null;
+            });
+            return new Event<T>(l.getKey(), Immutable.Map(d));
+        });
+
+        return new SortedCollection<T>(Immutable.List<Event<T>>(events));
+    }
+
     /**
      * The `align()` method takes a `Event`s and interpolates new values on precise
      * time intervals. For example we get measurements from our network every 30 seconds,
@@ -222,8 +347,9 @@ export class SortedCollection<T extends Key> extends Collection<T> {
      * Options:
      *  * `fieldSpec` - the field or fields to align
      *  * `period` - a `Period` object to control the time interval to align to
-     *  * `method` - the interpolation method, which may be
-     *    `AlignmentMethod.Linear` or `AlignmentMethod.Hold`
+     *  * `method` - the interpolation method, which may be `AlignmentMethod.Hold`
+     *    (the default), `AlignmentMethod.Linear`, `AlignmentMethod.Nearest`,
+     *    `AlignmentMethod.Next` or `AlignmentMethod.MonotoneCubic`
      *  * `limit` - how long to interpolate values before inserting nulls on boundaries.
      *
      * Note: Only a `Collection` of `Event<Time>` objects can be aligned. `Event<Index>`
@@ -236,7 +362,8 @@ export class SortedCollection<T extends Key> extends Collection<T> {
      */
     public align(options: AlignmentOptions): SortedCollection<T> {
         const p = new Align<T>(options);
-        return this.flatMap<T>(e => p.addEvent(e));
+        const aligned = this._events.flatMap(e => p.addEvent(e));
+        return new SortedCollection<T>(aligned.concat(p.flush()));
     }
 
     /**
@@ -246,23 +373,140 @@ export class SortedCollection<T extends Key> extends Collection<T> {
      * if the rate is negative. This is useful when a negative rate would be considered
      * invalid like an ever increasing counter.
      *
+     * For counters which wrap, such as SNMP interface counters, give the `counterMax`
+     * at which they wrap back to zero and the rate is calculated across each wrap.
+     * A drop of less than half the counter's range, or one which would need a rate
+     * above the `maxRate` to have wrapped, is a reset instead, and the `reset` policy
+     * decides whether to emit `null` or the rate since the reset.
+     *
      * To control the rate calculation you need to specify a `RateOptions` object, which
      * takes the following form:
      * ```
      * {
      *     fieldSpec: string | string[];
      *     allowNegative?: boolean;
+     *     counterMax?: number;
+     *     maxRate?: number;
+     *     reset?: CounterReset;
      * }
      * ```
      * Options:
      *  * `fieldSpec` - the field to calculate the rate on
      *  * `allowNegative` - allow emit of negative rates
+     *  * `counterMax` - the value at which a counter wraps, e.g. Math.pow(2, 32)
+     *  * `maxRate` - the highest believable rate for a counter
+     *  * `reset` - `CounterReset.Null` (the default) or `CounterReset.Value`
      */
     public rate(options: RateOptions): SortedCollection<TimeRange> {
         const p = new Rate<T>(options);
         return this.flatMap<TimeRange>(e => p.addEvent(e));
     }
 
+    /**
+     * Smooths the values of the given columns of this `Collection`, returning a new
+     * `SortedCollection` in which each value is replaced by its smoothed value.
+     *
+     * The smoothing is controlled by the `SmoothOptions`. This is an object of the form:
+     * ```
+     * {
+     *     fieldSpec: string | string[];
+     *     method?: SmoothingMethod;
+     *     alpha?: number;
+     *     halfLife?: Duration;
+     *     beta?: number;
+     *     window?: Duration;
+     * }
+     * ```
+     * Options:
+     *  * `fieldSpec` - the field or fields to smooth
+     *  * `method` - `SmoothingMethod.Ewma` (an exponentially weighted moving average, the
+     *    default), `SmoothingMethod.MovingAverage` or `SmoothingMethod.Holt` (double
+     *    exponential smoothing)
+     *  * `alpha` - for `Ewma` and `Holt`, the weight given to each new value
+     *  * `halfLife` - for `Ewma` and `Holt`, a `Duration` to use instead of `alpha`
+     *    which takes into account irregularly spaced `Event`s
+     *  * `beta` - for `Holt`, the weight given to each new trend
+     *  * `window` - for `MovingAverage`, the `Duration` of the trailing window
+     */
+    public smooth(options: SmoothOptions): SortedCollection<T> {
+        const p = new Smooth<T>(options);
+        return this.flatMap<T>(e => p.addEvent(e));
+    }
+
+    /**
+     * Scores the values of the given columns against their recent history, returning a
+     * new `SortedCollection` in which each `Event` is annotated with the score, and
+     * whether it is an anomaly. For a "value" column these are the "value_score" and
+     * "value_is_anomaly" columns.
+     *
+     * The detection is controlled by the `AnomalyOptions`. This is an object of the form:
+     * ```
+     * {
+     *     fieldSpec: string | string[];
+     *     method?: AnomalyMethod;
+     *     window?: Duration;
+     *     count?: number;
+     *     threshold?: number;
+     * }
+     * ```
+     * Options:
+     *  * `fieldSpec` - the field or fields to score
+     *  * `method` - `AnomalyMethod.ZScore` (the default) or `AnomalyMethod.Mad`, the
+     *    modified z-score using the median absolute deviation
+     *  * `window` - the `Duration` of the trailing window of values to score against
+     *  * `count` - the maximum number of previous values to score against
+     *  * `threshold` - the score beyond which a value is an anomaly, defaulting to 3
+     */
+    public detectAnomalies(options: AnomalyOptions): SortedCollection<T> {
+        const p = new Anomaly<T>(options);
+        return this.flatMap<T>(e => p.addEvent(e));
+    }
+
+    /**
+     * Returns the difference between each `Event` in this `Collection` and the previous
+     * one, for the given columns. Unlike `rate()` the `Event`s keep their keys and the
+     * differences aren't divided by the time between them. The new columns have a
+     * "_delta" suffix, and there is no `Event` for the first `Event`.
+     *
+     * Options:
+     *  * `fieldSpec` - the field or fields to take the difference of
+     */
+    public delta(options: DeltaOptions): SortedCollection<T> {
+        const p = new Delta<T>(options);
+        return this.flatMap<T>(e => p.addEvent(e));
+    }
+
+    /**
+     * Returns the derivative of the `Event`s in this `Collection` for the given columns,
+     * per `unit` of time. Unlike `rate()`, which is always per second, the `Event`s
+     * keep their keys. The new columns have a "_derivative" suffix, and there is no
+     * `Event` for the first `Event`.
+     *
+     * Options:
+     *  * `fieldSpec` - the field or fields to take the derivative of
+     *  * `unit` - the `Duration` the derivative is per, which defaults to one second
+     */
+    public derivative(options: DerivativeOptions): SortedCollection<T> {
+        const p = new Derivative<T>(options);
+        return this.flatMap<T>(e => p.addEvent(e));
+    }
+
+    /**
+     * Returns the running total of the area under the curve of the given columns.
+     * The values are taken to be per `unit` of time, so the integral of a rate per
+     * second is the total. Each value counts over its `TimeRange` or `Index`, while
+     * between `Time`s the area is found with the trapezoidal rule. The new columns
+     * have an "_integral" suffix.
+     *
+     * Options:
+     *  * `fieldSpec` - the field or fields to integrate
+     *  * `unit` - the `Duration` the values are per, which defaults to one second
+     */
+    public integral(options: IntegralOptions): SortedCollection<T> {
+        const p = new Integral<T>(options);
+        return this.flatMap<T>(e => p.addEvent(e));
+    }
+
     /**
      * Fills missing/invalid values in the `Event` with new values.
      *
@@ -275,19 +519,25 @@ export class SortedCollection<T extends Key> extends Collection<T> {
      *     fieldSpec: string | string[];
      *     method?: FillMethod;
      *     limit?: number;
+     *     period?: Period;
      * }
      * ```
      * Options:
-     *  * `fieldSpec` - the field to fill
+     *  * `fieldSpec` - the field or fields to fill, which may be nested paths
      *  * `method` - the interpolation method, one of `FillMethod.Hold`, `FillMethod.Pad`
      *               or `FillMethod.Linear`
      *  * `limit` - the number of missing values to fill before giving up
+     *  * `period` - if given, `Event`s with missing values are first inserted on each
+     *    boundary of this `Period` where there is no `Event`
+     *
+     * `Event`s at the end which can't be linearly filled are kept, unfilled.
      *
      * Returns a new filled `Collection`.
      */
     public fill(options: FillOptions): SortedCollection<T> {
         const p = new Fill<T>(options);
-        return this.flatMap<T>(e => p.addEvent(e));
+        const filled = this._events.flatMap(e => p.addEvent(e));
+        return new SortedCollection<T>(filled.concat(p.flush()));
     }
 
     /**
@@ -325,11 +575,14 @@ export class SortedCollection<T extends Key> extends Collection<T> {
      * {
      *     window: WindowBase;
      *     trigger?: Trigger;
+     *     apportion?: string | string[];
      * }
      * ```
      * Options:
-     *  * `window` - a `WindowBase` subclass, currently `Window` or `DayWindow`
+     *  * `window` - a `WindowBase` subclass, such as `Window`, `DayWindow` or `SessionWindow`
      *  * `trigger` - not needed in this context
+     *  * `apportion` - fields of `TimeRange` keyed `Event`s to split between every window
+     *    their range overlaps, scaled by the fraction of the range within each window
      *
      * Example:
      *
@@ -347,7 +600,7 @@ export class SortedCollection<T extends Key> extends Collection<T> {
      *
      * ```
      */
-    public window(options: WindowingOptions): WindowedCollection<T> {
+    public window(options: WindowingOptions<T>): WindowedCollection<T> {
         return windowed(options, Immutable.Map({ all: this }));
     }
 
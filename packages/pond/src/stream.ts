@@ -13,6 +13,7 @@ import * as _ from "lodash";
 
 import { Base } from "./base";
 import { Event, event } from "./event";
+import { GroupingFunction } from "./groupedcollection";
 import { Index } from "./index";
 import { Key } from "./key";
 import { Time } from "./time";
@@ -20,33 +21,51 @@ import { Time } from "./time";
 import {
     AggregationNode,
     AlignNode,
+    AnomalyNode,
     CollapseNode,
+    DeltaNode,
+    DerivativeNode,
     EventInputNode,
     EventOutputNode,
     FillNode,
     FilterNode,
     FlatMapNode,
+    IntegralNode,
+    JoinNode,
     KeyedCollectionOutputNode,
     MapNode,
+    MergeNode,
     Node,
     RateNode,
     ReduceNode,
     SelectNode,
+    SmoothNode,
+    TagNode,
+    ThresholdNode,
     WindowOutputNode
 } from "./node";
 
 import {
     AggregationSpec,
     AlignmentOptions,
+    AnomalyOptions,
     CoalesceOptions,
     CollapseOptions,
+    DeltaOptions,
+    DerivativeOptions,
     EventCallback,
+    EventSource,
     FillOptions,
+    IntegralOptions,
     KeyedCollection,
     KeyedCollectionCallback,
+    MergeOptions,
     RateOptions,
     ReduceOptions,
     SelectOptions,
+    SmoothOptions,
+    StreamJoinOptions,
+    ThresholdOptions,
     WindowingOptions
 } from "./types";
 
@@ -74,10 +93,16 @@ export class StreamInterface<IN extends Key, S extends Key> {
     // tslint:disable-line:max-classes-per-file
     protected stream: Stream<S>;
     protected tail: Node<Base, Base>;
+    protected windowNode: WindowOutputNode<Key>;
 
-    constructor(stream: Stream<S>, node: Node<Base, Base>) {
+    constructor(
+        stream: Stream<S>,
+        node: Node<Base, Base>,
+        windowNode: WindowOutputNode<Key> = null
+    ) {
         this.stream = stream;
         this.tail = node;
+        this.windowNode = windowNode;
         if (!this.stream.getRoot()) {
             this.stream.setRoot(node);
         }
@@ -92,10 +117,36 @@ export class StreamInterface<IN extends Key, S extends Key> {
     }
 
     /**
-     * Add events into the stream
+     * Add events into the stream. If any outputs are asynchronous this
+     * returns a Promise which resolves once they have handled the `Event`.
      */
     addEvent(e: Event<S>) {
-        this.stream.addEvent(e);
+        return this.stream.addEvent(e);
+    }
+
+    /**
+     * Signals the end of the input, emitting any final results. See `Stream.flush()`.
+     */
+    flush() {
+        return this.stream.flush();
+    }
+
+    /**
+     * Returns the watermark of the window closest upstream of this point in the
+     * stream: the latest `Event` time it has seen, less its allowed `lateness`.
+     * Windows are closed once the watermark passes their end. This is `null`
+     * if there is no window upstream, or it hasn't had an `Event` yet.
+     */
+    watermark(): Time {
+        return this.windowNode ? this.windowNode.watermark() : null;
+    }
+
+    /**
+     * Reads each `Event` from a `source` into the stream, waiting on any
+     * asynchronous outputs before reading the next. See `Stream.consume()`.
+     */
+    consume(source: EventSource<S>): Promise<void> {
+        return this.stream.consume(source);
     }
 
     /**
@@ -130,8 +181,12 @@ export class StreamInterface<IN extends Key, S extends Key> {
  */
 export class EventStream<IN extends Key, S extends Key> extends StreamInterface<IN, S> {
     // tslint:disable-line:max-classes-per-file
-    constructor(stream: Stream<S>, tail: Node<Base, Base>) {
-        super(stream, tail);
+    constructor(
+        stream: Stream<S>,
+        tail: Node<Base, Base>,
+        windowNode: WindowOutputNode<Key> = null
+    ) {
+        super(stream, tail, windowNode);
     }
 
     /**
@@ -146,7 +201,7 @@ export class EventStream<IN extends Key, S extends Key> extends StreamInterface<
      */
     addEventToEventNode<OUT extends Key>(node: EventMap<IN, OUT>) {
         this.addNode(node);
-        return new EventStream<OUT, S>(this.getStream(), node);
+        return new EventStream<OUT, S>(this.getStream(), node, this.windowNode);
     }
 
     /**
@@ -161,7 +216,8 @@ export class EventStream<IN extends Key, S extends Key> extends StreamInterface<
      */
     addEventToCollectorNode<OUT extends Key>(node: EventToKeyedCollection<IN, OUT>) {
         this.addNode(node);
-        return new KeyedCollectionStream<OUT, S>(this.getStream(), node);
+        const windowNode = node instanceof WindowOutputNode ? node : this.windowNode;
+        return new KeyedCollectionStream<OUT, S>(this.getStream(), node, windowNode);
     }
 
     //
@@ -252,6 +308,94 @@ export class EventStream<IN extends Key, S extends Key> extends StreamInterface<
         );
     }
 
+    /**
+     * Joins this stream with the `other` `EventStream`, producing a stream of `Event`s
+     * that combine the fields of both. This is useful for correlating `Event`s arriving
+     * from two different sources, such as "in" and "out" counters from separate
+     * collectors.
+     *
+     * Each `Event` is held in a buffer until an `Event` from the other stream matches
+     * it. By default `Event`s match when their keys are equal, but you can give a
+     * `tolerance` `Duration` to instead match `Event`s whose timestamps are within
+     * that of each other (the closest is taken). Matched `Event`s are output under the
+     * key of this stream's `Event`, and each `Event` is only matched once. Unmatched
+     * `Event`s are dropped from the buffer once they fall further behind the latest
+     * `Event` seen than the `buffer` `Duration`, which defaults to the `tolerance`, so
+     * must be given when matching on keys.
+     *
+     * Fields found in both `Event`s are renamed using the `prefix` pair, which defaults
+     * to ["left", "right"].
+     *
+     * `Event`s continue to be added to the two original streams. The joined stream
+     * is flushed once both of them have been flushed.
+     *
+     * Example:
+     * ```
+     * const inbound = stream();
+     * const outbound = stream();
+     *
+     * inbound
+     *     .join(outbound, { tolerance: duration("5s"), buffer: duration("1m") })
+     *     .output(e => {
+     *         // -> Events with both "in" and "out" fields
+     *     });
+     *
+     * inbound.addEvent(...);  // <- Events with an "in" field
+     * outbound.addEvent(...); // <- Events with an "out" field
+     * ```
+     */
+    join(other: EventStream<Key, Key>, options: StreamJoinOptions = {}) {
+        const joinNode = new JoinNode<IN>(options);
+        [this, other].forEach((source: EventStream<Key, Key>, side) => {
+            const input = new TagNode<Key>(side);
+            source.addNode(input);
+            input.addObserver(joinNode);
+        });
+        return new EventStream<IN, S>(this.getStream(), joinNode);
+    }
+
+    /**
+     * Merges this stream with the `others`, producing a single stream containing
+     * the `Event`s of all of them. The `others` may be branches of the same `Stream`
+     * or come from entirely separate `Stream`s, so the outputs of several sources
+     * can be processed by one pipeline rather than duplicating it for each.
+     *
+     * By default each `Event` is passed on as soon as it arrives. If the merge is
+     * `ordered`, `Event`s are instead held until every stream has moved past them
+     * and then output in time order. Note that this means a stream which goes
+     * quiet holds back the output until it's flushed.
+     *
+     * `Event`s continue to be added to the original streams. The merged stream
+     * is flushed once all of them have been flushed.
+     *
+     * Example:
+     * ```
+     * const collectorA = stream();
+     * const collectorB = stream();
+     *
+     * collectorA
+     *     .merge([collectorB], { ordered: true })
+     *     .groupByWindow({ window: window(duration("5m")), trigger: Trigger.onDiscardedWindow })
+     *     .aggregate({ total: ["value", sum()] })
+     *     .output(e => {
+     *         // -> Totals across both collectors
+     *     });
+     *
+     * collectorA.addEvent(...);
+     * collectorB.addEvent(...);
+     * ```
+     */
+    merge(others: Array<EventStream<Key, Key>>, options: MergeOptions = {}) {
+        const sources: Array<EventStream<Key, Key>> = [this, ...others];
+        const mergeNode = new MergeNode<IN>(sources.length, options);
+        sources.forEach((source, i) => {
+            const input = new TagNode<Key>(i);
+            source.addNode(input);
+            input.addObserver(mergeNode);
+        });
+        return new EventStream<IN, S>(this.getStream(), mergeNode);
+    }
+
     /**
      * Fill missing values in stream events.
      *
@@ -260,6 +404,14 @@ export class EventStream<IN extends Key, S extends Key> extends StreamInterface<
      *  * FillMethod.Pad - as padding (filling with a previous value)
      *  * FillMethod.Zero or filled with zeros.
      *
+     * The `fieldSpec` may list several fields, including nested paths, which
+     * are all filled at once. With a linear fill, an `Event` is held back until
+     * each of its missing values can be interpolated.
+     *
+     * With a `period`, gaps where no `Event` arrived are filled too: an `Event`
+     * is inserted on each boundary of the `Period` between one `Event` and the
+     * next, and then filled.
+     *
      * You can also specify the number of events you are willing to fill
      * before giving up using the `limit` option. This is because commonly
      * you might want to fill the occasional hole in data, but if you have
@@ -284,8 +436,10 @@ export class EventStream<IN extends Key, S extends Key> extends StreamInterface<
      * Align `Event`s in the stream to a specific boundary at a fixed `period`.
      * Options are a `AlignmentOptions` object where you specify which field to
      * align with `fieldSpec`, what boundary `period` to use with `window` and
-     * the method of alignment with `method` (which can be either `Linear`
-     * interpolation, or `Hold`).
+     * the method of alignment with `method` (which can be `Hold`, `Linear`
+     * interpolation, `Nearest`, `Next` or `MonotoneCubic` interpolation).
+     * With `MonotoneCubic`, boundaries are emitted one `Event` late, since the
+     * curve up to an `Event` depends on the `Event` after it.
      *
      * Example:
      * ```
@@ -315,6 +469,12 @@ export class EventStream<IN extends Key, S extends Key> extends StreamInterface<
      * the incoming values to always increase while a decrease is considered
      * a bad condition (e.g. network counters or click counts).
      *
+     * For counters which wrap back to zero, such as 32-bit SNMP counters, give the
+     * `counterMax` to calculate the rate across the wrap. A drop in the counter that
+     * doesn't look like a wrap (see `SortedCollection.rate()`) is treated as a reset,
+     * and the `reset` policy decides whether a `null` rate or the rate since the
+     * reset is emitted.
+     *
      * Example:
      *
      * ```
@@ -327,6 +487,143 @@ export class EventStream<IN extends Key, S extends Key> extends StreamInterface<
         return this.addEventToEventNode(new RateNode<IN>(options));
     }
 
+    /**
+     * Convert incoming `Event`s to the difference from the previous `Event`, for the
+     * fields in the `fieldSpec`. The differences are in new fields with a "_delta"
+     * suffix. Unlike `rate()` the output `Event`s keep the key of the incoming `Event`.
+     *
+     * Example:
+     *
+     * ```
+     * const s = stream()
+     *     .delta({ fieldSpec: "value" })
+     * ```
+     */
+    delta(options: DeltaOptions) {
+        return this.addEventToEventNode(new DeltaNode<IN>(options));
+    }
+
+    /**
+     * Convert incoming `Event`s to the derivative of the fields in the `fieldSpec`,
+     * per `unit` of time (a `Duration`, which defaults to one second). The derivatives
+     * are in new fields with a "_derivative" suffix. Unlike `rate()` the output `Event`s
+     * keep the key of the incoming `Event`.
+     *
+     * Example:
+     *
+     * ```
+     * const s = stream()
+     *     .derivative({ fieldSpec: "value", unit: duration("1m") })
+     * ```
+     */
+    derivative(options: DerivativeOptions) {
+        return this.addEventToEventNode(new DerivativeNode<IN>(options));
+    }
+
+    /**
+     * Convert incoming `Event`s to the running total of the area under the curve of
+     * the fields in the `fieldSpec`. The values are taken to be per `unit` of time (a
+     * `Duration`, which defaults to one second), so the integral of a per second rate
+     * is a running total. Each value counts over its `TimeRange` or `Index`, while
+     * between `Time`s the area is found with the trapezoidal rule. The totals are in
+     * new fields with an "_integral" suffix.
+     *
+     * Example:
+     *
+     * ```
+     * const s = stream()
+     *     .integral({ fieldSpec: "bps" })
+     * ```
+     */
+    integral(options: IntegralOptions) {
+        return this.addEventToEventNode(new IntegralNode<IN>(options));
+    }
+
+    /**
+     * Smooth the values of incoming `Event`s, replacing each value in the given
+     * fields with its smoothed value. The `SmoothOptions` select the `method`, which
+     * may be an exponentially weighted moving average (`SmoothingMethod.Ewma`, the
+     * default), a simple moving average over a trailing `window` `Duration`
+     * (`SmoothingMethod.MovingAverage`) or double exponential smoothing
+     * (`SmoothingMethod.Holt`).
+     *
+     * For the exponential methods you either give the weight of each new value as
+     * `alpha`, or a `halfLife` `Duration`. With a `halfLife` the weight depends on the
+     * time since the previous `Event`, which is what you want for irregularly
+     * sampled data.
+     *
+     * Example:
+     *
+     * ```
+     * const s = stream()
+     *     .smooth({ fieldSpec: "value", halfLife: duration("1m") })
+     * ```
+     */
+    smooth(options: SmoothOptions) {
+        return this.addEventToEventNode(new SmoothNode<IN>(options));
+    }
+
+    /**
+     * Score the values of incoming `Event`s against the recent values in the stream,
+     * flagging those which are anomalies. Each `Event` is passed on with a score field
+     * and an "is anomaly" field added for each field in the `fieldSpec`, for example
+     * "value_score" and "value_is_anomaly".
+     *
+     * Values are scored against either the last `count` values or those within a
+     * trailing `window` `Duration`. The `method` is either `AnomalyMethod.ZScore` (the
+     * default), the number of standard deviations from the mean, or `AnomalyMethod.Mad`,
+     * the modified z-score using the median absolute deviation. Values scoring beyond
+     * the `threshold` (3 by default) are anomalies.
+     *
+     * Example:
+     *
+     * ```
+     * const s = stream()
+     *     .detectAnomalies({ fieldSpec: "utilization", window: duration("15m") })
+     *     .filter(e => e.get("utilization_is_anomaly"))
+     *     .output(e => alert(e));
+     * ```
+     */
+    detectAnomalies(options: AnomalyOptions) {
+        return this.addEventToEventNode(new AnomalyNode<IN>(options));
+    }
+
+    /**
+     * Watch a field of the incoming `Event`s for breaches of a level, for alerting.
+     * Rather than passing on every `Event`, this emits an `Event` each time the state
+     * changes: a "breach" `Event` once the field has stayed beyond the `enter` level
+     * for at least the `duration`, and then a "clear" `Event` once it comes back
+     * over the `exit` level.
+     *
+     * The output `Event`s are of type `Event<TimeRange>`. The `TimeRange` of a breach
+     * runs from when the field first crossed the `enter` level to when the breach was
+     * emitted, and that of a clear spans the whole breach. Each has a "state" field,
+     * "breach" or "clear", and the value of the watched field.
+     *
+     * Setting the `exit` level back from the `enter` level gives hysteresis, so a
+     * value hovering around the level doesn't trigger a flood of alerts. Use a
+     * `direction` of `ThresholdDirection.Below` to watch for the field dropping
+     * below the levels instead.
+     *
+     * Example:
+     *
+     * ```
+     * const s = stream()
+     *     .threshold({
+     *         fieldSpec: "utilization",
+     *         enter: 90,
+     *         exit: 80,
+     *         duration: duration("5m")
+     *     })
+     *     .output(e => {
+     *         // e.get("state") -> "breach" or "clear"
+     *     });
+     * ```
+     */
+    threshold(options: ThresholdOptions) {
+        return this.addEventToEventNode(new ThresholdNode<IN>(options));
+    }
+
     /**
      * Convert incoming `Event`s to new `Event`s with on the specified
      * fields selected out of the source.
@@ -376,6 +673,10 @@ export class EventStream<IN extends Key, S extends Key> extends StreamInterface<
      * type will be Event<Key> as the event is generically passed through the stream, but
      * you can cast the type (if you are using Typescript).
      *
+     * The callback may be asynchronous, returning a Promise. In that case `addEvent()`
+     * will return a Promise that resolves once the callback is done, and `consume()`
+     * will wait for it before reading the next `Event` from its source.
+     *
      * Example:
      * ```
      * const source = stream<Time>()
@@ -401,6 +702,49 @@ export class EventStream<IN extends Key, S extends Key> extends StreamInterface<
      * as the `window`, and a `Trigger` enum value (emit a completed window on each
      * incoming `Event` or on each completed window).
      *
+     * The `window` may also be a sliding or hopping `Window`, where the `Period`
+     * the window repeats on differs from its `Duration`. For a sliding window, such as
+     * `window(duration("5m"), period(duration("1m")))`, each `Event` is added to every
+     * window that it falls within, so `Trigger.perEvent` will emit each of those windows.
+     * With `Trigger.onDiscardedWindow` each window is emitted exactly once, when an
+     * `Event` arrives at or past its end. If several windows close at the same time
+     * they are emitted in the order that they end. For a hopping window (where the
+     * period is longer than the duration) `Event`s that fall between windows are
+     * not collected.
+     *
+     * The `window` may also be a `SessionWindow`, created with `session(gap)`. A session
+     * stays open while `Event`s keep arriving within the `gap` of each other, and its
+     * key grows with it, so `Trigger.perEvent` will emit the session under its latest
+     * key. With `Trigger.onDiscardedWindow` the session is emitted once an `Event`
+     * arrives one `gap` or more after the last `Event` of the session.
+     *
+     * `Event`s may arrive out of order. The window tracks a watermark, which is the
+     * latest `Event` time seen less the allowed `lateness` (a `Duration`, which defaults
+     * to none), and windows are closed once the watermark passes their end. A late
+     * `Event` is still added to any of its windows that remain open, but if they have
+     * all closed it is instead passed to the `late` callback, a side output you can
+     * use to count or inspect the late `Event`s. Closed windows are never re-opened.
+     * The current watermark can be read from the stream with `watermark()`.
+     *
+     * With the other triggers nothing happens until an `Event` arrives, so a quiet input
+     * never closes its current window. The wall clock triggers fix this. With
+     * `Trigger.perInterval` each window which has received new `Event`s is emitted every
+     * `interval`, while `Trigger.onProcessingTime` closes and emits windows once their end
+     * (plus any `lateness`) has passed by the wall clock. The time comes from the `clock`
+     * option, which defaults to the system clock but can be replaced to control time
+     * in tests. Note that the wall clock is compared with the ends of windows placed by
+     * `Event` time, so `Trigger.onProcessingTime` relies on the two clocks agreeing. If
+     * `Event`s are timestamped long before they arrive, such as when replaying old data,
+     * their windows will be closed as soon as they are opened. Any error thrown while
+     * emitting windows from the timer, such as by an output, is raised by the next
+     * `addEvent()` or `flush()` of the stream.
+     *
+     * You may also pass a `group`, either a field path or a function returning the
+     * group of an `Event`, to window each group separately. The key of each window is
+     * then "group::window", e.g. "eth0::5m-4135541", and an `aggregate()` of the windows
+     * adds the group to each output `Event` as a "group" field. So a single stream can
+     * roll up the `Event`s of many sources, such as one per network interface.
+     *
      * The return type of this operation will no longer be an `EventStream` but rather
      * a `KeyedCollectionStream` as each entity passed down the stream is no longer an
      * `Event` but rather a tuple mapping a key (the window name) to a `Collection`
@@ -415,15 +759,25 @@ export class EventStream<IN extends Key, S extends Key> extends StreamInterface<
      * const source = stream<Time>()
      *     .groupByWindow({
      *         window: period("30m"),
-     *         trigger: Trigger.perEvent
+     *         trigger: Trigger.perEvent,
+     *         lateness: duration("2m"),
+     *         late: e => lateCount++
      *     })
      *     .aggregate({...})
      *     .output(e => {
      *         ...
      *     });
+     *
+     * const perInterface = stream<Time>()
+     *     .groupByWindow({ window: period("5m") }, "interface")
+     *     .aggregate({ total: ["in", sum()] })
+     *     .output(e => {
+     *         // e.get("group") is the interface
+     *     });
+     * ```
      */
-    groupByWindow(options: WindowingOptions) {
-        return this.addEventToCollectorNode(new WindowOutputNode<IN>(options));
+    groupByWindow(options: WindowingOptions<IN>, group?: string | string[] | GroupingFunction<IN>) {
+        return this.addEventToCollectorNode(new WindowOutputNode<IN>(options, group));
     }
 }
 
@@ -439,8 +793,12 @@ export class EventStream<IN extends Key, S extends Key> extends StreamInterface<
 // tslint:disable-next-line:max-classes-per-file
 export class KeyedCollectionStream<IN extends Key, S extends Key> extends StreamInterface<IN, S> {
     // tslint:disable-line:max-classes-per-file
-    constructor(stream: Stream<S>, tail: Node<Base, Base>) {
-        super(stream, tail);
+    constructor(
+        stream: Stream<S>,
+        tail: Node<Base, Base>,
+        windowNode: WindowOutputNode<Key> = null
+    ) {
+        super(stream, tail, windowNode);
     }
 
     /**
@@ -452,7 +810,7 @@ export class KeyedCollectionStream<IN extends Key, S extends Key> extends Stream
      */
     addKeyedCollectionToKeyedCollectionNode<OUT extends Key>(node: KeyedCollectionMap<IN, OUT>) {
         this.addNode(node);
-        return new KeyedCollectionStream<OUT, S>(this.getStream(), node);
+        return new KeyedCollectionStream<OUT, S>(this.getStream(), node, this.windowNode);
     }
 
     /**
@@ -464,7 +822,7 @@ export class KeyedCollectionStream<IN extends Key, S extends Key> extends Stream
      */
     addKeyedCollectionToEventNode<OUT extends Key>(node: KeyedCollectionToEvent<IN, OUT>) {
         this.addNode(node);
-        return new EventStream<OUT, S>(this.getStream(), node);
+        return new EventStream<OUT, S>(this.getStream(), node, this.windowNode);
     }
 
     /**
@@ -472,7 +830,8 @@ export class KeyedCollectionStream<IN extends Key, S extends Key> extends Stream
      * `(collection: Collection<T>, key: string) => void`.
      *
      * Using this method you are able to access the stream result. Your callback
-     * function will be called whenever a new `Collection` is available.
+     * function will be called whenever a new `Collection` is available. As with
+     * `EventStream.output()`, the callback may return a Promise to apply backpressure.
      *
      * Example:
      * ```
@@ -504,13 +863,25 @@ export class KeyedCollectionStream<IN extends Key, S extends Key> extends Stream
      * the average of all the `in` fields in the collection, for that window. That
      * `Event` would have an `Index` which describes the window from which it came.
      *
+     * Instead of a tuple, a field of the `AggregationSpec` may be a function, which is
+     * passed the `Collection` of the window and returns the value. This allows
+     * aggregations over several fields or the timestamps, such as a weighted average.
+     * The function is also passed the `TimeRange` of the window and the last `Event`
+     * before it, so that `timeWeightedAvg()`, `timeWeightedPercentile()` and `area()`
+     * can apportion values across the window boundaries.
+     *
+     * If the windows were grouped, the group is added to each output `Event` as a
+     * "group" field, unless the `AggregationSpec` has its own "group" field.
+     *
      * @example
      *
      * ```
      * const source = stream()
      *     .groupByWindow({
      *         window: period("30m"),
-     *         trigger: Trigger.perEvent
+     *         trigger: Trigger.perEvent,
+     *         lateness: duration("2m"),
+     *         late: e => lateCount++
      *     })
      *     .aggregate({
      *         in_avg: ["in", avg()],
@@ -522,7 +893,8 @@ export class KeyedCollectionStream<IN extends Key, S extends Key> extends Stream
      * ```
      */
     aggregate(spec: AggregationSpec<IN>) {
-        return this.addKeyedCollectionToEventNode<Index>(new AggregationNode<IN>(spec));
+        const tz = this.windowNode ? this.windowNode.timezone() : "Etc/UTC";
+        return this.addKeyedCollectionToEventNode<Index>(new AggregationNode<IN>(spec, tz));
     }
 }
 
@@ -662,6 +1034,19 @@ export type EventMap<S extends Key, T extends Key> = Node<Event<S>, Event<T>>;
  * }
  * ```
  *
+ * If instead your sources are separate streams, you can bring them back together with
+ * `merge()`, which passes on the `Event`s of all of them, or `join()`, which pairs up
+ * matching `Event`s from two of them:
+ *
+ * ```typescript
+ * const collectorA = stream();
+ * const collectorB = stream();
+ *
+ * collectorA
+ *     .merge([collectorB], { ordered: true })
+ *     .output(e => results.push(e));
+ * ```
+ *
  * You can do generalized reduce operations where you supply a function that
  * is provided with the last n points (defaults to 1) and the previous result
  * which is an `Event`. You will return the next result, and `Event`.
@@ -733,12 +1118,72 @@ export class Stream<U extends Key = Time> {
     }
 
     /**
-     * Add an `Event` into the root node of the stream
+     * Add an `Event` into the root node of the stream. If any of the outputs
+     * the `Event` reaches return a Promise, this returns a Promise which resolves
+     * once they all have resolved. Otherwise nothing is returned.
+     */
+    addEvent<T extends Key>(e: Event<U>): Promise<void> | void {
+        if (this.root) {
+            return this.root.set(e);
+        }
+    }
+
+    /**
+     * Signals that the input has finished. The flush travels down the processing
+     * tree and each `Node` emits whatever it was holding onto: windows still open
+     * under `Trigger.onDiscardedWindow` are emitted (and so aggregated), and `Event`s
+     * waiting on a linear `fill()` are emitted unfilled. Alignment and rate state is
+     * reset, so the stream can be reused for new input afterwards.
+     *
+     * As with `addEvent()`, if any outputs are asynchronous this returns a Promise
+     * which resolves once they have handled the final results.
+     *
+     * Example:
+     * ```
+     * const source = stream()
+     *     .groupByWindow({ window: window(duration("1h")), trigger: Trigger.onDiscardedWindow })
+     *     .aggregate({ total: ["value", sum()] })
+     *     .output(e => results.push(e));
+     *
+     * events.forEach(e => source.addEvent(e));
+     * source.flush(); // emits the last hour
+     * ```
      */
-    addEvent<T extends Key>(e: Event<U>) {
+    flush(): Promise<void> | void {
         if (this.root) {
-            this.root.set(e);
+            return this.root.flush();
+        }
+    }
+
+    /**
+     * Reads `Event`s from the `source` and adds each one into the stream. The
+     * source may be an async iterable, such as a Node.js `Readable` stream in object
+     * mode or an async generator, or a regular iterable such as an array.
+     *
+     * The next `Event` is not read from the source until any asynchronous outputs
+     * (those whose callbacks return a Promise) have finished with the current
+     * one. This means a slow output holds back reading from the source, rather
+     * than `Event`s being buffered up without limit.
+     *
+     * Once the source is exhausted the stream is flushed (see `flush()`), so final
+     * windows are emitted. Returns a Promise which resolves once that's done, or
+     * rejects if the source or an output fails.
+     *
+     * Example:
+     * ```
+     * const source = stream()
+     *     .groupByWindow({ window: window(duration("5m")), trigger: Trigger.onDiscardedWindow })
+     *     .aggregate({ total: ["value", sum()] })
+     *     .output(e => db.write(e)); // returns a Promise
+     *
+     * await source.consume(readable);
+     * ```
+     */
+    async consume(source: EventSource<U>): Promise<void> {
+        for await (const e of source) {
+            await this.addEvent(e);
         }
+        await this.flush();
     }
 }
 
@@ -0,0 +1,153 @@
+/**
+ *  Copyright (c) 2017, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import * as Immutable from "immutable";
+import * as _ from "lodash";
+
+import { Duration } from "./duration";
+import { Event } from "./event";
+import { Key } from "./key";
+import { Processor } from "./processor";
+import { TimeRange, timerange } from "./timerange";
+import util from "./util";
+
+import { ThresholdDirection, ThresholdOptions } from "./types";
+
+/**
+ * A `Processor` which watches a field for breaches of a level, emitting an
+ * `Event` each time the state changes rather than for every incoming `Event`.
+ *
+ * When the field has stayed beyond the `enter` level for the `duration`, a "breach"
+ * `Event` is emitted. Its `TimeRange` key runs from when the field first crossed
+ * the level, to the `Event` which caused the breach. Once the field crosses back
+ * over the `exit` level a "clear" `Event` is emitted, with a `TimeRange` spanning
+ * the whole breach. Each `Event` has a "state" field, either "breach" or "clear",
+ * along with the value of the field at the time.
+ *
+ * To control the threshold you need to specify a `ThresholdOptions` object
+ * in the constructor, which takes the following form:
+ * ```
+ * {
+ *     fieldSpec: string | string[];
+ *     direction?: ThresholdDirection;
+ *     enter: number;
+ *     exit?: number;
+ *     duration?: Duration;
+ * }
+ * ```
+ * Options:
+ *  * `fieldSpec` - the field to watch
+ *  * `direction` - `ThresholdDirection.Above` (the default) or `ThresholdDirection.Below`
+ *  * `enter` - the level which the field must go beyond to breach
+ *  * `exit` - the level which the field must come back over to clear, which
+ *    defaults to the `enter` level
+ *  * `duration` - how long the field must stay beyond the `enter` level to breach
+ *
+ * Missing or non-numeric values are ignored.
+ */
+export class Threshold<T extends Key> extends Processor<T, TimeRange> {
+    // Options
+    private fieldPath: string[];
+    private direction: ThresholdDirection;
+    private enter: number;
+    private exit: number;
+    private duration: Duration;
+
+    // Internal state
+    private since: number;
+    private inBreach: boolean;
+
+    constructor(options: ThresholdOptions) {
+        super();
+        const {
+            fieldSpec,
+            direction = ThresholdDirection.Above,
+            enter,
+            exit = enter,
+            duration
+        } = options;
+
+        // Options
+        this.fieldPath = util.fieldAsArray(fieldSpec);
+        this.direction = direction;
+        this.enter = enter;
+        this.exit = exit;
+        this.duration = duration;
+
+        if (!_.isNumber(this.enter) || !_.isNumber(this.exit)) {
+            throw new Error("Threshold enter and exit levels must be numbers");
+        }
+        if (this.beyond(this.exit, this.enter)) {
+            throw new Error("Threshold exit level must not be beyond the enter level");
+        }
+
+        // Time the field crossed the enter level, and whether that became a breach
+        this.since = null;
+        this.inBreach = false;
+    }
+
+    /**
+     * Forgets any current breach, so that watching can begin again.
+     */
+    public flush(): Immutable.List<Event<TimeRange>> {
+        this.since = null;
+        this.inBreach = false;
+        return Immutable.List<Event<TimeRange>>();
+    }
+
+    /**
+     * Checks the `Event`'s value against the levels, and emits an `Event` if
+     * the state has changed.
+     */
+    public addEvent(event: Event<T>): Immutable.List<Event<TimeRange>> {
+        const t = event.timestamp().getTime();
+        const value = event.get(this.fieldPath);
+        if (util.isMissing(value) || !_.isNumber(value)) {
+            return Immutable.List<Event<TimeRange>>();
+        }
+
+        if (this.inBreach) {
+            if (this.beyond(this.exit, value)) {
+                const cleared = this.stateChange("clear", t, value);
+                this.since = null;
+                this.inBreach = false;
+                return Immutable.List([cleared]);
+            }
+        } else if (this.beyond(value, this.enter)) {
+            if (_.isNull(this.since)) {
+                this.since = t;
+            }
+            if (!this.duration || t - this.since >= +this.duration) {
+                this.inBreach = true;
+                return Immutable.List([this.stateChange("breach", t, value)]);
+            }
+        } else {
+            this.since = null;
+        }
+
+        return Immutable.List<Event<TimeRange>>();
+    }
+
+    /**
+     * True if `a` is beyond `b`, in the direction of a breach
+     */
+    private beyond(a: number, b: number): boolean {
+        return this.direction === ThresholdDirection.Below ? a < b : a > b;
+    }
+
+    /**
+     * Builds the `Event` emitted when the state changes, spanning
+     * from the start of the breach until `t`
+     */
+    private stateChange(state: string, t: number, value: number): Event<TimeRange> {
+        const d = Immutable.Map({ state }).setIn(this.fieldPath, value);
+        return new Event(timerange(this.since, t), d);
+    }
+}
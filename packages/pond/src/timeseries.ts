@@ -22,7 +22,7 @@ import { Select } from "./select";
 import { SortedCollection } from "./sortedcollection";
 import { time, Time } from "./time";
 import { TimeRange, timerange } from "./timerange";
-import { daily, window } from "./window";
+import { daily, monthly, window, yearly } from "./window";
 
 import {
     avg,
@@ -40,15 +40,23 @@ import {
 import {
     AlignmentMethod,
     AlignmentOptions,
+    AnomalyOptions,
+    AsOfJoinOptions,
     CollapseOptions,
     DedupFunction,
+    DeltaOptions,
+    DerivativeOptions,
     FillMethod,
     FillOptions,
+    IntegralOptions,
+    JoinOptions,
+    JoinType,
     RateOptions,
     ReducerFunction,
     RenameColumnOptions,
     RollupOptions,
     SelectOptions,
+    SmoothOptions,
     TimeSeriesOptions,
     Trigger,
     ValueMap
@@ -1062,13 +1070,20 @@ export class TimeSeries<T extends Key> {
      *     fieldSpec: string | string[];
      *     method?: FillMethod;
      *     limit?: number;
+     *     period?: Period;
      * }
      * ```
      * Options:
-     *  * `fieldSpec` - the field to fill
+     *  * `fieldSpec` - the field or fields to fill, which may be nested paths
      *  * `method` - the interpolation method, one of `FillMethod.Zero`, `FillMethod.Pad`
      *               or `FillMethod.Linear`
      *  * `limit` - the number of missing values to fill before giving up
+     *  * `period` - if given, a `Period` on whose boundaries missing `Event`s are
+     *               inserted before filling, so that gaps in the series are filled
+     *               too. The `Event`s should lie on these boundaries (see `align()`).
+     *
+     * All of the fields are filled in a single pass. With `FillMethod.Linear`,
+     * each field is interpolated independently of the others.
      *
      * Example:
      * ```
@@ -1082,27 +1097,20 @@ export class TimeSeries<T extends Key> {
     fill(options: FillOptions) {
         const { fieldSpec = null, method = FillMethod.Zero, limit = null } = options;
 
-        let filledCollection: SortedCollection<T>;
-        if (method === FillMethod.Zero || method === FillMethod.Pad) {
-            filledCollection = this._collection.fill({ fieldSpec, method, limit });
-        } else if (method === FillMethod.Linear) {
-            if (_.isArray(fieldSpec)) {
-                filledCollection = this._collection;
-                fieldSpec.forEach(fieldPath => {
-                    const args: FillOptions = { fieldSpec: fieldPath, method, limit };
-                    filledCollection = filledCollection.fill(args);
-                });
-            } else {
-                filledCollection = this._collection.fill({
-                    fieldSpec,
-                    method,
-                    limit
-                });
-            }
-        } else {
+        if (
+            method !== FillMethod.Zero &&
+            method !== FillMethod.Pad &&
+            method !== FillMethod.Linear
+        ) {
             throw new Error(`Invalid fill method: ${method}`);
         }
 
+        const filledCollection = this._collection.fill({
+            fieldSpec,
+            method,
+            limit,
+            period: options.period
+        });
         const collection = new SortedCollection(filledCollection);
         return this.setCollection(collection);
     }
@@ -1113,6 +1121,12 @@ export class TimeSeries<T extends Key> {
      * points are returned. If limit is reached nulls will be
      * returned at each boundary position.
      *
+     * The value may be held from the previous point (`AlignmentMethod.Hold`,
+     * the default), taken from the next point (`AlignmentMethod.Next`) or from
+     * whichever is nearest (`AlignmentMethod.Nearest`), or interpolated along a
+     * line (`AlignmentMethod.Linear`) or a smooth curve which never overshoots
+     * the points (`AlignmentMethod.MonotoneCubic`).
+     *
      * One use case for this is to modify irregular data (i.e. data
      * that falls at slightly irregular times) so that it falls into a
      * sequence of evenly spaced values. We use this to take data we
@@ -1150,12 +1164,114 @@ export class TimeSeries<T extends Key> {
      * Returns the derivative of the `TimeSeries` for the given columns. The result will
      * be per second. Optionally you can substitute in `null` values if the rate
      * is negative. This is useful when a negative rate would be considered invalid.
+     *
+     * Counters which wrap can be handled by giving the `counterMax` they wrap at. See
+     * `SortedCollection.rate()` for how wraps and resets are told apart.
+     *
+     * Example:
+     * ```
+     * const rates = series.rate({
+     *     fieldSpec: "in",
+     *     counterMax: Math.pow(2, 32),
+     *     reset: CounterReset.Null
+     * });
+     * ```
      */
     rate(options: RateOptions) {
         const collection = new SortedCollection(this._collection.rate(options));
         return this.setCollection(collection);
     }
 
+    /**
+     * Returns the difference between each `Event` of the `TimeSeries` and the previous
+     * one, for the given columns, in new columns with a "_delta" suffix. Unlike `rate()`
+     * the `Event`s keep their keys.
+     */
+    delta(options: DeltaOptions) {
+        const collection = new SortedCollection(this._collection.delta(options));
+        return this.setCollection(collection);
+    }
+
+    /**
+     * Returns the derivative of the `TimeSeries` for the given columns, per `unit` of
+     * time (a `Duration`, one second by default), in new columns with a "_derivative"
+     * suffix. Unlike `rate()` the `Event`s keep their keys.
+     *
+     * Example:
+     * ```
+     * const perMinute = series.derivative({ fieldSpec: "value", unit: duration("1m") });
+     * ```
+     */
+    derivative(options: DerivativeOptions) {
+        const collection = new SortedCollection(this._collection.derivative(options));
+        return this.setCollection(collection);
+    }
+
+    /**
+     * Returns the running total of the area under the curve of the given columns, in
+     * new columns with an "_integral" suffix. Each value of a `rate()` counts over its
+     * `TimeRange`, so a `TimeSeries` of bytes per second can be turned back into a
+     * running total of bytes. Between values keyed by a `Time` the area is found with
+     * the trapezoidal rule.
+     *
+     * Example:
+     * ```
+     * const bytes = series
+     *     .rate({ fieldSpec: "in" })
+     *     .integral({ fieldSpec: "in_rate" });
+     * ```
+     */
+    integral(options: IntegralOptions) {
+        const collection = new SortedCollection(this._collection.integral(options));
+        return this.setCollection(collection);
+    }
+
+    /**
+     * Smooths the values of the given columns of the `TimeSeries`, with either an
+     * exponentially weighted moving average (the default), a simple moving average
+     * over a trailing `window`, or double exponential (Holt) smoothing. Pass the
+     * weight given to each new value as `alpha`, or a `halfLife` `Duration` if the
+     * `Event`s are irregularly spaced. See `SortedCollection.smooth()` for all
+     * of the `SmoothOptions`.
+     *
+     * Example:
+     * ```
+     * const smoothed = series.smooth({
+     *     fieldSpec: "value",
+     *     method: SmoothingMethod.Ewma,
+     *     halfLife: duration("5m")
+     * });
+     * ```
+     */
+    smooth(options: SmoothOptions) {
+        const collection = new SortedCollection(this._collection.smooth(options));
+        return this.setCollection(collection);
+    }
+
+    /**
+     * Scores the values of the given columns against their recent history (the last
+     * `count` values, or those within a trailing `window`), adding a score column
+     * and a flag column for whether each value is an anomaly. The score is either a
+     * z-score or, with `AnomalyMethod.Mad`, the modified z-score, which is less
+     * thrown off by the anomalies themselves. See `SortedCollection.detectAnomalies()`
+     * for all of the `AnomalyOptions`.
+     *
+     * Example:
+     * ```
+     * const scored = series.detectAnomalies({
+     *     fieldSpec: "utilization",
+     *     method: AnomalyMethod.Mad,
+     *     window: duration("1h"),
+     *     threshold: 3.5
+     * });
+     * const anomalies = scored.collection().filter(e => e.get("utilization_is_anomaly"));
+     * ```
+     */
+    detectAnomalies(options: AnomalyOptions) {
+        const collection = new SortedCollection(this._collection.detectAnomalies(options));
+        return this.setCollection(collection);
+    }
+
     /**
      * Builds a new `TimeSeries` by dividing events within the `TimeSeries`
      * across multiple fixed windows of size `windowSize`.
@@ -1181,6 +1297,13 @@ export class TimeSeries<T extends Key> {
      * { value_avg: { value: avg(filter.ignoreMissing) } }
      * ```
      *
+     * For irregularly spaced `Event`s, `timeWeightedAvg()` weights each value by the
+     * time it holds for rather than counting every `Event` the same, with values that
+     * span the edges of the windows apportioned between them:
+     * ```
+     * { value_avg: timeWeightedAvg("value") }
+     * ```
+     *
      * Example:
      * ```
      *     const timeseries = new TimeSeries(data);
@@ -1190,6 +1313,19 @@ export class TimeSeries<T extends Key> {
      *     });
      * ```
      *
+     * Rates and other `TimeRange` keyed `Event`s are placed in a window by their
+     * timestamp, so one which straddles the edge of a window counts wholly within one
+     * window. To instead split such `Event`s between the windows they overlap, list
+     * the fields to split as `apportion`. Each part of the `Event` has its values
+     * scaled by the fraction of its range within that window, so totals are kept:
+     * ```
+     * const hourlyBytes = rates.fixedWindowRollup({
+     *     window: window(duration("1h")),
+     *     aggregation: { bytes: { bytes: sum() } },
+     *     apportion: "bytes"
+     * });
+     * ```
+     *
      * Note that to output the result as `TimeEvent`'s instead of `IndexedEvent`'s,
      * you can do the following :
      * ```
@@ -1209,7 +1345,11 @@ export class TimeSeries<T extends Key> {
         }
 
         const aggregatorPipeline = this._collection
-            .window({ window: options.window, trigger: Trigger.onDiscardedWindow })
+            .window({
+                window: options.window,
+                trigger: Trigger.onDiscardedWindow,
+                apportion: options.apportion
+            })
             .aggregate(options.aggregation)
             .flatten();
 
@@ -1230,7 +1370,7 @@ export class TimeSeries<T extends Key> {
      *
      */
     hourlyRollup(options: RollupOptions<T>): TimeSeries<Index> {
-        const { aggregation } = options;
+        const { aggregation, apportion } = options;
 
         if (!aggregation || !_.isObject(aggregation)) {
             throw new Error(
@@ -1240,7 +1380,8 @@ export class TimeSeries<T extends Key> {
 
         return this.fixedWindowRollup({
             window: window(duration("1h")),
-            aggregation
+            aggregation,
+            apportion
         });
     }
 
@@ -1254,15 +1395,22 @@ export class TimeSeries<T extends Key> {
      * {in_avg: ["in", avg()], out_avg: ["out", avg()]}
      * ```
      *
+     * When rolling up an earlier rollup, such as an `hourlyRollup()`, an `avg()` would
+     * average the hourly averages. To find the exact daily values instead, have the
+     * earlier rollup also emit the `partial()` state of each field, and use functions
+     * such as `mergedAvg()` and `mergedStdev()` on that state:
+     * ```
+     * hourly.dailyRollup({ aggregation: { in_avg: mergedAvg("in_state") } })
+     * ```
      */
     dailyRollup(options: RollupOptions<T>): TimeSeries<Index> {
-        const { aggregation, timezone = "Etc/UTC" } = options;
+        const { aggregation, timezone = "Etc/UTC", apportion } = options;
         if (!aggregation || !_.isObject(aggregation)) {
             throw new Error(
                 "aggregation object must be supplied, for example: {avg_value: {value: avg()}}"
             );
         }
-        return this._rollup({ window: daily(timezone), aggregation });
+        return this._rollup({ window: daily(timezone), aggregation, apportion });
     }
 
     /**
@@ -1275,20 +1423,19 @@ export class TimeSeries<T extends Key> {
      * {in_avg: ["in", avg()], out_avg: ["out", avg()]}
      * ```
      *
+     * The months are calendar months, so they may be of uneven length. Optionally
+     * supply a `timezone` (the default is UTC) to control where each month begins.
+     * The resulting `Index`es are of the form "2017-03".
      */
-    /*
     monthlyRollup(options: RollupOptions<T>): TimeSeries<Index> {
-        const { aggregation } = options;
-
+        const { aggregation, timezone = "Etc/UTC", apportion } = options;
         if (!aggregation || !_.isObject(aggregation)) {
             throw new Error(
-                "aggregation object must be supplied, for example: {value: {value: avg()}}"
+                "aggregation object must be supplied, for example: {avg_value: {value: avg()}}"
             );
         }
-
-        return this._rollup({ windowSize: period("monthly"), aggregation });
+        return this._rollup({ window: monthly(timezone), aggregation, apportion });
     }
-    */
 
     /**
      * Builds a new `TimeSeries` by dividing events into years.
@@ -1301,20 +1448,18 @@ export class TimeSeries<T extends Key> {
      * {in_avg: ["in", avg()], out_avg: ["out", avg()]}
      * ```
      *
+     * As with `dailyRollup()` you can supply a `timezone`, which decides which
+     * year an `Event` near the turn of the year falls into.
      */
-    /*
     yearlyRollup(options: RollupOptions<T>): TimeSeries<Index> {
-        const { aggregation } = options;
-
+        const { aggregation, timezone = "Etc/UTC", apportion } = options;
         if (!aggregation || !_.isObject(aggregation)) {
             throw new Error(
-                "aggregation object must be supplied, for example: {value: {value: avg()}}"
+                "aggregation object must be supplied, for example: {avg_value: {value: avg()}}"
             );
         }
-
-        return this._rollup({ windowSize: period("yearly"), aggregation });
+        return this._rollup({ window: yearly(timezone), aggregation, apportion });
     }
-    */
 
     /**
      * @private
@@ -1324,7 +1469,11 @@ export class TimeSeries<T extends Key> {
      */
     _rollup(options: RollupOptions<T>) {
         const aggregatorPipeline = this._collection
-            .window({ window: options.window, trigger: Trigger.onDiscardedWindow })
+            .window({
+                window: options.window,
+                trigger: Trigger.onDiscardedWindow,
+                apportion: options.apportion
+            })
             .aggregate(options.aggregation)
             .flatten();
 
@@ -1440,6 +1589,133 @@ export class TimeSeries<T extends Key> {
         });
     }
 
+    /**
+     * Joins two `TimeSeries` together by matching the keys of their `Event`s,
+     * producing a new `TimeSeries` with the columns of both. This is useful when
+     * you have related measurements collected as separate series, such as the
+     * "in" and "out" traffic of an interface.
+     *
+     * The `type` of join controls which keys are output:
+     *  * `JoinType.Inner` (the default) - only keys present in both `TimeSeries`
+     *  * `JoinType.Left` - every key in the `left` `TimeSeries`
+     *  * `JoinType.Outer` - every key in either `TimeSeries`
+     *
+     * Where a key has no partner in the other `TimeSeries`, that side's columns are
+     * set to `null`. Columns present in both `TimeSeries` are renamed using the
+     * `prefix` pair (["left", "right"] by default), so a "value" column in both
+     * with a prefix of ["in", "out"] becomes "in_value" and "out_value". Other
+     * options, such as `name`, are passed on to the new `TimeSeries`.
+     *
+     * Example:
+     * ```
+     * const traffic = TimeSeries.join(inTraffic, outTraffic, {
+     *     name: "traffic",
+     *     type: JoinType.Outer,
+     *     prefix: ["in", "out"]
+     * });
+     * ```
+     */
+    static join<T extends Key>(
+        left: TimeSeries<T>,
+        right: TimeSeries<T>,
+        options: JoinOptions = {}
+    ): TimeSeries<T> {
+        const { type = JoinType.Inner, prefix = ["left", "right"], ...data } = options;
+        if (!_.includes(_.values(JoinType), type)) {
+            throw new Error(`Unknown join type "${type}", expected "inner", "left" or "outer"`);
+        }
+        if (!prefix || prefix.length !== 2) {
+            throw new Error("join prefix must be a pair of strings, for the left and right");
+        }
+        const [leftPrefix, rightPrefix] = prefix;
+
+        const leftColumns = left.columns();
+        const rightColumns = right.columns();
+        const shared = _.intersection(leftColumns, rightColumns);
+        const columnName = (column: string, p: string) =>
+            _.includes(shared, column) ? `${p}_${column}` : column;
+
+        // Builds the joined event from a left and right event, either of which
+        // may be missing
+        const joined = (l: Event<T>, r: Event<T>) => {
+            const d = {};
+            leftColumns.forEach(column => {
+                d[columnName(column, leftPrefix)] = l ? l.getData().get(column, null) : null;
+            });
+            rightColumns.forEach(column => {
+                d[columnName(column, rightPrefix)] = r ? r.getData().get(column, null) : null;
+            });
+            return new Event<T>(l ? l.getKey() : r.getKey(), Immutable.Map(d));
+        };
+
+        const rightByKey = right
+            .eventList()
+            .groupBy(e => e.getKey().toString())
+            .toMap();
+
+        const events = [];
+        const matchedKeys = {};
+        left.eventList().forEach(l => {
+            const key = l.getKey().toString();
+            if (rightByKey.has(key)) {
+                matchedKeys[key] = true;
+                rightByKey.get(key).forEach(r => {
+                    events.push(joined(l, r));
+                });
+            } else if (type === JoinType.Left || type === JoinType.Outer) {
+                events.push(joined(l, null));
+            }
+        });
+        if (type === JoinType.Outer) {
+            right.eventList().forEach(r => {
+                if (!matchedKeys[r.getKey().toString()]) {
+                    events.push(joined(null, r));
+                }
+            });
+        }
+
+        const collection = new SortedCollection<T>(Immutable.List(events));
+        return new TimeSeries<T>({ ...data, collection });
+    }
+
+    /**
+     * Performs an as-of join of two `TimeSeries`. Unlike `join()`, the keys of the
+     * `Event`s don't need to match exactly. Instead, each `Event` in the `left`
+     * `TimeSeries` is paired with the closest `Event` in time from the `right`,
+     * which is what you want for series polled at slightly different times.
+     *
+     * Options:
+     *  * `direction` - `AsOfDirection.Backward` (the default) matches the most
+     *    recent `right` `Event`, `AsOfDirection.Forward` the next one, and
+     *    `AsOfDirection.Nearest` whichever is closer
+     *  * `tolerance` - a `Duration` beyond which `Event`s are not matched
+     *  * `prefix` - a pair of prefixes for columns found in both, as with `join()`
+     *
+     * Every `left` `Event` is output, with the `right` columns set to `null` when
+     * nothing was matched. Other options, such as `name`, are passed on to the
+     * new `TimeSeries`.
+     *
+     * Example:
+     * ```
+     * const traffic = TimeSeries.asOfJoin(inTraffic, outTraffic, {
+     *     name: "traffic",
+     *     tolerance: duration("30s"),
+     *     prefix: ["in", "out"]
+     * });
+     * ```
+     */
+    static asOfJoin<T extends Key>(
+        left: TimeSeries<T>,
+        right: TimeSeries<Key>,
+        options: AsOfJoinOptions = {}
+    ): TimeSeries<T> {
+        const { direction, tolerance, prefix, ...data } = options;
+        const collection = left
+            .collection()
+            .asOfJoin(right.collection(), { direction, tolerance, prefix });
+        return new TimeSeries<T>({ ...data, collection });
+    }
+
     /**
      * @private
      */
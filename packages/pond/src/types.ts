@@ -12,9 +12,11 @@ import * as Immutable from "immutable";
 import * as _ from "lodash";
 
 import { Collection } from "./collection";
+import { Duration } from "./duration";
 import { Event } from "./event";
 import { Key } from "./key";
 import { Period } from "./period";
+import { TimeRange } from "./timerange";
 import { TimeSeries } from "./timeseries";
 import { WindowBase } from "./window";
 
@@ -57,20 +59,36 @@ export enum TimeAlignment {
  * Rate of emit from within a stream:
  *  * `perEvent` - an updated `Collection` is emitted on each new `Event`
  *  * `onDiscardedWindow` - an updated `Collection` is emitted whenever a window is no longer used
+ *  * `perInterval` - on a wall clock interval, each window that has had new `Event`s
+ *                    since it was last emitted is emitted
+ *  * `onProcessingTime` - as with `onDiscardedWindow`, but windows are also closed and
+ *                         emitted once their end has passed by the wall clock, even if
+ *                         no more `Event`s arrive. Since windows are placed by the time
+ *                         of each `Event`, this assumes `Event`s are timestamped by the
+ *                         same clock as they are produced.
  */
 export enum Trigger {
     perEvent = 1,
-    onDiscardedWindow
+    onDiscardedWindow,
+    perInterval,
+    onProcessingTime
 }
 
 /**
  * Method of interpolation used by the `align()` function:
  *  * `Hold` - Emits the last known good value at alignment boundaries
  *  * `Linear` - Emits linearly interpolated values at alignment boundaries
+ *  * `Nearest` - Emits the value of whichever `Event` is closest in time to the boundary
+ *  * `Next` - Emits the value of the next `Event` at or after the boundary
+ *  * `MonotoneCubic` - Emits values on a smooth curve through the `Event`s, which
+ *                      never overshoots them (monotone cubic interpolation)
  */
 export enum AlignmentMethod {
     Hold = 1,
-    Linear
+    Linear,
+    Nearest,
+    Next,
+    MonotoneCubic
 }
 
 /**
@@ -85,6 +103,75 @@ export enum FillMethod {
     Linear
 }
 
+/**
+ * Method of smoothing used by the `smooth()` function:
+ *  * `Ewma` - an exponentially weighted moving average
+ *  * `MovingAverage` - a simple average of the values within a trailing window
+ *  * `Holt` - double exponential smoothing, which also tracks the trend
+ */
+export enum SmoothingMethod {
+    Ewma = 1,
+    MovingAverage,
+    Holt
+}
+
+/**
+ * Method of scoring used by the `detectAnomalies()` function:
+ *  * `ZScore` - the number of standard deviations from the mean
+ *  * `Mad` - the modified z-score, using the median and the median absolute
+ *            deviation, which is less affected by the anomalies themselves
+ */
+export enum AnomalyMethod {
+    ZScore = 1,
+    Mad
+}
+
+/**
+ * The direction in which a field breaches a level, used by the `threshold()` function:
+ *  * `Above` - the field breaches when it rises above the level
+ *  * `Below` - the field breaches when it falls below the level
+ */
+export enum ThresholdDirection {
+    Above = 1,
+    Below
+}
+
+/**
+ * What the `rate()` function emits when a counter is reset, e.g. when a device reboots:
+ *  * `Null` - a `null` rate
+ *  * `Value` - the rate of the counter since the reset, assuming it restarted from zero
+ */
+export enum CounterReset {
+    Null = 1,
+    Value
+}
+
+/**
+ * The type of join performed by `TimeSeries.join()`:
+ *  * `Inner` - only keys found in both `TimeSeries` are output
+ *  * `Left` - every key in the left `TimeSeries` is output
+ *  * `Outer` - every key in either `TimeSeries` is output
+ *
+ * The values are strings, so that "inner", "left" or "outer" may be used instead.
+ */
+export enum JoinType {
+    Inner = "inner",
+    Left = "left",
+    Outer = "outer"
+}
+
+/**
+ * The direction searched for a matching `Event` by an as-of join:
+ *  * `Backward` - the most recent `Event` at or before the time
+ *  * `Forward` - the first `Event` at or after the time
+ *  * `Nearest` - whichever of those two is closest in time
+ */
+export enum AsOfDirection {
+    Backward = 1,
+    Forward,
+    Nearest
+}
+
 /**
  * Options object expected by the `reduce()` stream processor. The idea
  * of this processor is to take a list of Events, always of size `count`
@@ -120,26 +207,89 @@ export interface CoalesceOptions {
     fields: string[];
 }
 
+/**
+ * Options object expected by the `join()` stream processor, which joins the
+ * `Event`s of two `EventStream`s together:
+ *  * `tolerance` - a `Duration`. If given, `Event`s are matched when their
+ *                  timestamps are within this of each other, otherwise their
+ *                  keys must be equal.
+ *  * `buffer` - a `Duration` for how long an `Event` waits for a match, measured
+ *               back from the latest `Event` seen on either stream. Defaults to
+ *               the `tolerance`, so it must be given to match on keys.
+ *  * `prefix` - a pair of prefixes for the fields of the two streams. A field
+ *               found in both is renamed with its prefix, as with `TimeSeries.join()`.
+ *               Defaults to ["left", "right"].
+ */
+export interface StreamJoinOptions {
+    tolerance?: Duration;
+    buffer?: Duration;
+    prefix?: string[];
+}
+
+/**
+ * Options object expected by the `merge()` stream processor:
+ *  * `ordered` - if true, `Event`s are output in time order, rather than in
+ *                the order that they arrive. Defaults to false.
+ */
+export interface MergeOptions {
+    ordered?: boolean;
+}
+
 /**
  * Options object expected by the `windowBy...()` functions. At this point,
- * this just defines the fixed window (e.g. window: period("1d")) and the
+ * this just defines the window (e.g. window: window(duration("1d"))) and the
  * trigger for downstream notification, which can currently be either
  * on every incoming event, or whenever a window is about to be discarded.
- *  * `type` - the type of the window, currently either Fixed or Sliding
- *  * `window` - the size of the window, expressed as a `Period`
+ *  * `window` - the window, e.g. a fixed, sliding or hopping `Window`, a
+ *               calendar window such as `DayWindow`, or a `SessionWindow`
  *  * `trigger` - the output rate of the window, currently either
  *                Trigger.perEvent or Trigger.onDiscardedWindow
+ *  * `lateness` - a `Duration` of allowed lateness for out-of-order `Event`s.
+ *                 Windows are closed once the watermark (the latest `Event`
+ *                 time seen, less this lateness) passes their end. Defaults to
+ *                 no lateness, so windows close as soon as a later `Event` arrives.
+ *  * `late` - a side output, an `EventCallback` which is passed each `Event`
+ *             that arrives after all the windows it falls in have closed
+ *  * `interval` - for the wall clock triggers, `Trigger.perInterval` and
+ *                 `Trigger.onProcessingTime`, how often the windows are checked.
+ *                 Defaults to every second.
+ *  * `clock` - the `Clock` used by the wall clock triggers. Defaults to the
+ *              system clock, but may be replaced, e.g. to control time in tests.
+ *  * `apportion` - the field or fields of `TimeRange` keyed `Event`s, such as rates,
+ *                  to split between windows. Each `Event` is then placed in every
+ *                  window its range overlaps, clipped to the window, with those
+ *                  fields scaled by the fraction of the range within the window.
+ *                  Otherwise an `Event` is placed by its timestamp alone.
  */
-export interface WindowingOptions {
+export interface WindowingOptions<T extends Key = Key> {
     window: WindowBase;
     trigger?: Trigger;
+    lateness?: Duration;
+    late?: EventCallback<T>;
+    interval?: Duration;
+    clock?: Clock;
+    apportion?: string | string[];
+}
+
+/**
+ * A source of wall clock time and timers, as used by the wall clock triggers
+ * of a windowed stream:
+ *  * `now()` - returns the current time as ms since the UNIX epoch
+ *  * `setInterval()` - calls the `callback` every `ms`, returning a handle
+ *  * `clearInterval()` - stops the timer with the given handle
+ */
+export interface Clock {
+    now(): number;
+    setInterval(callback: () => void, ms: number): any;
+    clearInterval(handle: any): void;
 }
 
 /**
  * Options object expected by the `align()` function:
  *  * `fieldSpec` - the field to align
  *  * `window` - the `Period` of the window whose boundaries we want to align to
- *  * `method` - the interpolation method, one of `AlignmentMethod.Hold` or `AlignmentMethod.Linear`
+ *  * `method` - the interpolation method, one of `AlignmentMethod.Hold`, `AlignmentMethod.Linear`,
+ *              `AlignmentMethod.Nearest`, `AlignmentMethod.Next` or `AlignmentMethod.MonotoneCubic`
  *  * `limit` - the number of boundaries to align to without a new Event, before emitting `null` on
  *              the boundaries
  */
@@ -150,6 +300,94 @@ export interface AlignmentOptions {
     limit?: number;
 }
 
+/**
+ * Options object passed to the `smooth()` function:
+ *  * `fieldSpec` - the field or fields to smooth
+ *  * `method` - the `SmoothingMethod`, which defaults to `SmoothingMethod.Ewma`
+ *  * `alpha` - for `Ewma` and `Holt`, the weight (between 0 and 1) given to each
+ *              new value
+ *  * `halfLife` - for `Ewma` and `Holt`, a `Duration` to use instead of `alpha`.
+ *                 The weight of a value halves over each `halfLife`, so the
+ *                 weight given to a new value depends on the time since the last.
+ *  * `beta` - for `Holt`, the weight (between 0 and 1) given to each new trend.
+ *             Defaults to the weight given to the value.
+ *  * `window` - for `MovingAverage`, the `Duration` of the trailing window
+ */
+export interface SmoothOptions {
+    fieldSpec: string | string[];
+    method?: SmoothingMethod;
+    alpha?: number;
+    halfLife?: Duration;
+    beta?: number;
+    window?: Duration;
+}
+
+/**
+ * Options object passed to the `detectAnomalies()` function:
+ *  * `fieldSpec` - the field or fields to score
+ *  * `method` - the `AnomalyMethod`, which defaults to `AnomalyMethod.ZScore`
+ *  * `window` - a `Duration`. Each value is scored against the previous values
+ *               within this trailing window.
+ *  * `count` - the number of previous values to score against. One or both of
+ *              `window` and `count` must be given.
+ *  * `threshold` - the score beyond which a value is an anomaly. Defaults to 3.
+ */
+export interface AnomalyOptions {
+    fieldSpec: string | string[];
+    method?: AnomalyMethod;
+    window?: Duration;
+    count?: number;
+    threshold?: number;
+}
+
+/**
+ * Options object passed to the `threshold()` function:
+ *  * `fieldSpec` - the field to watch
+ *  * `direction` - the `ThresholdDirection`, defaulting to `ThresholdDirection.Above`
+ *  * `enter` - the level the field must cross to breach
+ *  * `exit` - the level the field must cross back over to clear the breach. Defaults
+ *             to the `enter` level, but setting it further back gives hysteresis,
+ *             so that a value hovering around the level doesn't keep changing state.
+ *  * `duration` - a `Duration` the field must stay beyond the `enter` level before
+ *                 it breaches. Defaults to none, breaching immediately.
+ */
+export interface ThresholdOptions {
+    fieldSpec: string | string[];
+    direction?: ThresholdDirection;
+    enter: number;
+    exit?: number;
+    duration?: Duration;
+}
+
+/**
+ * Option object passed to the `delta()` function:
+ *  * fieldSpec - the field or fields to take the difference of
+ */
+export interface DeltaOptions {
+    fieldSpec: string | string[];
+}
+
+/**
+ * Option object passed to the `derivative()` function:
+ *  * fieldSpec - the field or fields to take the derivative of
+ *  * unit - the `Duration` the derivative is per. Defaults to one second.
+ */
+export interface DerivativeOptions {
+    fieldSpec: string | string[];
+    unit?: Duration;
+}
+
+/**
+ * Option object passed to the `integral()` function:
+ *  * fieldSpec - the field or fields to integrate
+ *  * unit - the `Duration` the values are per, e.g. one second for a rate
+ *           per second. Defaults to one second.
+ */
+export interface IntegralOptions {
+    fieldSpec: string | string[];
+    unit?: Duration;
+}
+
 /**
  * Options object passed to the `collapse()` function:
  *  * `fieldSpecList` - the list of fields to collapse
@@ -168,37 +406,56 @@ export interface CollapseOptions {
  * Option object passed to the `rate()` function:
  *  * fieldSpec - the field to calculate the rate on
  *  * allowNegative - allow emit of negative rates
+ *  * counterMax - treat the field as a counter which wraps back to zero at this
+ *                 value, e.g. Math.pow(2, 32) for a 32-bit SNMP counter
+ *  * maxRate - for a counter, the highest believable rate. A drop in the counter
+ *              that would need a higher rate to have wrapped is a reset.
+ *  * reset - for a counter, the `CounterReset` policy for what to emit when
+ *            the counter is reset. Defaults to `CounterReset.Null`.
  */
 export interface RateOptions {
     fieldSpec: string | string[];
     allowNegative?: boolean;
+    counterMax?: number;
+    maxRate?: number;
+    reset?: CounterReset;
 }
 
 /**
  * Options object expected by the `fill()` function:
- *  * `fieldSpec` - the field to fill
+ *  * `fieldSpec` - the field or fields to fill
  *  * `method` - the interpolation method, one of
  *    `FillMethod.Hold`, `FillMethod.Pad` or `FillMethod.Linear`
  *  * `limit` - the number of missing values to fill before giving up
+ *  * `period` - the `Period` the `Event`s are expected on. If given, an `Event`
+ *    with missing values is inserted on each boundary of the `Period` where
+ *    there is no `Event`, before filling.
  */
 export interface FillOptions {
     fieldSpec: string | string[];
     method?: FillMethod;
     limit?: number;
+    period?: Period;
 }
 
 /**
  * Options object expected by the `fixedWindowRollup()` function:
- *  * `window` - the window specification. e.g. window(duration("6h"))
+ *  * `window` - the window specification. e.g. window(duration("6h")). Not
+ *               needed for the calendar rollups, e.g. `monthlyRollup()`
+ *  * `timezone` - the timezone for calendar rollups, e.g. `dailyRollup()`
  *  * `aggregation` - the aggregation specification
  *  * `toTimeEvents` - Convert the rollup events to `TimeEvent`s, otherwise it
  *                     will be returned as a `TimeSeries` of `IndexedEvent`s
+ *  * `apportion` - the field or fields of `TimeRange` keyed `Event`s to split
+ *                  between the windows their ranges overlap, in proportion to
+ *                  the overlap. See `WindowingOptions`.
  */
 export interface RollupOptions<T extends Key> {
-    window: WindowBase;
+    window?: WindowBase;
     timezone?: string;
     aggregation?: AggregationSpec<T>;
     toTimeEvents?: boolean;
+    apportion?: string | string[];
 }
 
 /**
@@ -236,6 +493,42 @@ export interface TimeSeriesOptions {
     [propName: string]: any;
 }
 
+/**
+ * Options object expected by `TimeSeries.join()`:
+ *  * `type` - the `JoinType`, one of `JoinType.Inner` (the default),
+ *             `JoinType.Left` or `JoinType.Outer`, or its string value,
+ *             "inner", "left" or "outer"
+ *  * `prefix` - a pair of prefixes for the left and right `TimeSeries`. A column
+ *               found in both is renamed with its prefix, e.g. "in_value" and
+ *               "out_value" for a prefix of ["in", "out"]. Defaults to
+ *               ["left", "right"].
+ *
+ * Any other options, such as `name`, are passed to the new `TimeSeries`.
+ */
+export interface JoinOptions {
+    type?: JoinType | "inner" | "left" | "outer";
+    prefix?: string[];
+    [propName: string]: any;
+}
+
+/**
+ * Options object expected by `TimeSeries.asOfJoin()`:
+ *  * `direction` - the `AsOfDirection` to search in, one of `AsOfDirection.Backward`
+ *                  (the default), `AsOfDirection.Forward` or `AsOfDirection.Nearest`
+ *  * `tolerance` - an optional `Duration`. A right `Event` further than this
+ *                  from the left `Event` will not be matched.
+ *  * `prefix` - a pair of prefixes for the left and right columns, as
+ *               with `JoinOptions`. Defaults to ["left", "right"].
+ *
+ * Any other options, such as `name`, are passed to the new `TimeSeries`.
+ */
+export interface AsOfJoinOptions {
+    direction?: AsOfDirection;
+    tolerance?: Duration;
+    prefix?: string[];
+    [propName: string]: any;
+}
+
 //
 // Callback functions
 //
@@ -274,12 +567,20 @@ export type ListReducer<T extends Key> = (
 ) => Event<T>;
 
 /**
- * A callback function which is passed an `Event`
+ * A callback function which is passed an `Event`. When used as the output
+ * of a stream, it may return a Promise to apply backpressure to the stream.
  */
 export type EventCallback<T extends Key> = (event: Event<T>) => void;
 
 /**
- * A callback function which is passed a `Collection` and associated `key`
+ * A source of `Event`s for a stream to consume. Either an async iterable, such
+ * as a Node.js `Readable` stream in object mode, or a regular iterable.
+ */
+export type EventSource<T extends Key> = AsyncIterable<Event<T>> | Iterable<Event<T>>;
+
+/**
+ * A callback function which is passed a `Collection` and associated `key`. When
+ * used as the output of a stream, it may return a Promise to apply backpressure.
  */
 export type KeyedCollectionCallback<T extends Key> = (
     collection: Collection<T>,
@@ -304,8 +605,14 @@ export type AggregationTuple = [string, ReducerFunction];
 /**
  * An alternative to the `AggregationTuple` where you can specify a function to
  * generate the resulting aggregation given the full `Collection` as input.
+ * When a window is aggregated, the function is also passed the `TimeRange` of
+ * the window and the last `Event` before the window, if there is one.
  */
-export type AggregationMapFunction<T extends Key> = (collection: Collection<T>) => any;
+export type AggregationMapFunction<T extends Key> = (
+    collection: Collection<T>,
+    range?: TimeRange,
+    previous?: Event<T>
+) => any;
 
 /**
  * A general aggregation specification, either as a `AggregationTuple` or
@@ -313,6 +620,26 @@ export type AggregationMapFunction<T extends Key> = (collection: Collection<T>)
  */
 export type Aggregation<T extends Key> = AggregationTuple | AggregationMapFunction<T>;
 
+/**
+ * The state of an aggregation of values, as built by the `partial()` function.
+ * Unlike the final values, such as an average, two states can be merged exactly,
+ * so that a rollup can itself be rolled up:
+ *  * `count` - the number of values
+ *  * `sum` - the total of the values
+ *  * `min` - the smallest value
+ *  * `max` - the largest value
+ *  * `mean` - the mean of the values
+ *  * `m2` - the sum of the squared differences of the values from the mean
+ */
+export interface PartialAggregate {
+    count: number;
+    sum: number;
+    min: number;
+    max: number;
+    mean: number;
+    m2: number;
+}
+
 /**
  * @example
  * ```
@@ -143,7 +143,8 @@ function timeRangeFromIndexString(indexString: string, tz: string = "Etc/UTC"):
                 const { decodedPeriod, decodedDuration, decodedIndex } = decodeIndexString(
                     indexString
                 );
-                const beginTimestamp = decodedIndex * +decodedPeriod.frequency();
+                const beginTimestamp =
+                    decodedIndex * +decodedPeriod.frequency() + decodedPeriod.offset();
                 const endTimestamp = beginTimestamp + +decodedDuration;
                 beginTime = moment(beginTimestamp).tz(tz);
                 endTime = moment(endTimestamp).tz(tz);
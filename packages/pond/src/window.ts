@@ -27,6 +27,14 @@ export enum WindowType {
 
 export abstract class WindowBase {
     public abstract getIndexSet(t: Time | TimeRange): Immutable.OrderedSet<Index>;
+
+    /**
+     * The timezone in which the `Index`es produced by this window should be
+     * interpreted. Calendar based windows override this, everything else is UTC.
+     */
+    public timezone(): string {
+        return "Etc/UTC";
+    }
 }
 
 /**
@@ -98,13 +106,140 @@ export class DayWindow extends WindowBase {
             t1 = moment(+t.begin()).tz(this._tz);
             t2 = moment(+t.end()).tz(this._tz);
         }
-        let tt = t1;
+        const tt = t1.startOf("day");
+        while (tt.isSameOrBefore(t2)) {
+            results = results.add(index(tt.format("YYYY-MM-DD"), this._tz));
+            tt.add(1, "d");
+        }
+        return results;
+    }
+
+    /**
+     * Returns the timezone of this `DayWindow`
+     */
+    public timezone(): string {
+        return this._tz;
+    }
+}
+
+/**
+ * Specifies a repeating calendar month specific to the supplied timezone. You can
+ * create one using the `monthly()` factory function.
+ *
+ * Months are of uneven length, so rather than a fixed `Duration` the `Index`es
+ * for a `MonthWindow` are calendar index strings such as "2017-03".
+ *
+ * Example:
+ * ```
+ * const monthWindowNewYork = monthly("America/New_York");
+ * const indexes = monthWindowNewYork.getIndexSet(time("2017-03-15T12:00:00Z"));
+ * // "2017-03"
+ * ```
+ */
+// tslint:disable-next-line:max-classes-per-file
+export class MonthWindow extends WindowBase {
+    private _tz: string;
+
+    /**
+     * Construct a new `MonthWindow`, optionally supplying the timezone `tz`
+     * for the `Window`. The default is `UTC`.
+     */
+    constructor(tz: string = "Etc/UTC") {
+        super();
+        this._tz = tz;
+    }
+
+    /**
+     * Returns an `Immutable.OrderedSet<Index>` set of month `Index`es for the
+     * `Time` or `TimeRange` supplied as `t`.
+     *
+     * Passing in a `Time` will give you a single month (e.g. "2017-09"), while
+     * a `TimeRange` will give you every month it touches. Which month a `Time`
+     * falls into may depend on the timezone specified when constructing
+     * this `MonthWindow`.
+     */
+    public getIndexSet(t: Time | TimeRange): Immutable.OrderedSet<Index> {
+        let results = Immutable.OrderedSet<Index>();
+        let t1: moment.Moment;
+        let t2: moment.Moment;
+        if (t instanceof Time) {
+            t1 = moment(+t).tz(this._tz);
+            t2 = moment(+t).tz(this._tz);
+        } else if (t instanceof TimeRange) {
+            t1 = moment(+t.begin()).tz(this._tz);
+            t2 = moment(+t.end()).tz(this._tz);
+        }
+        const tt = t1.startOf("month");
+        while (tt.isSameOrBefore(t2)) {
+            results = results.add(index(tt.format("YYYY-MM"), this._tz));
+            tt.add(1, "M");
+        }
+        return results;
+    }
+
+    /**
+     * Returns the timezone of this `MonthWindow`
+     */
+    public timezone(): string {
+        return this._tz;
+    }
+}
+
+/**
+ * Specifies a repeating calendar year specific to the supplied timezone. You can
+ * create one using the `yearly()` factory function.
+ *
+ * The `Index`es for a `YearWindow` are calendar index strings such as "2017".
+ *
+ * Example:
+ * ```
+ * const yearWindow = yearly("Europe/London");
+ * const indexes = yearWindow.getIndexSet(time("2017-03-15T12:00:00Z"));
+ * // "2017"
+ * ```
+ */
+// tslint:disable-next-line:max-classes-per-file
+export class YearWindow extends WindowBase {
+    private _tz: string;
+
+    /**
+     * Construct a new `YearWindow`, optionally supplying the timezone `tz`
+     * for the `Window`. The default is `UTC`.
+     */
+    constructor(tz: string = "Etc/UTC") {
+        super();
+        this._tz = tz;
+    }
+
+    /**
+     * Returns an `Immutable.OrderedSet<Index>` set of year `Index`es for the
+     * `Time` or `TimeRange` supplied as `t`.
+     */
+    public getIndexSet(t: Time | TimeRange): Immutable.OrderedSet<Index> {
+        let results = Immutable.OrderedSet<Index>();
+        let t1: moment.Moment;
+        let t2: moment.Moment;
+        if (t instanceof Time) {
+            t1 = moment(+t).tz(this._tz);
+            t2 = moment(+t).tz(this._tz);
+        } else if (t instanceof TimeRange) {
+            t1 = moment(+t.begin()).tz(this._tz);
+            t2 = moment(+t.end()).tz(this._tz);
+        }
+        const tt = t1.startOf("year");
         while (tt.isSameOrBefore(t2)) {
-            results = results.add(index(t1.format("YYYY-MM-DD"), this._tz));
-            tt = tt.add(1, "d");
+            results = results.add(index(tt.format("YYYY"), this._tz));
+            tt.add(1, "y");
         }
         return results;
     }
+
+    /**
+     * Returns the timezone of this `YearWindow`
+     */
+    public timezone(): string {
+        return this._tz;
+    }
 }
 
 /**
@@ -241,10 +376,11 @@ export class Window extends WindowBase {
         }
         let result = Immutable.OrderedSet<Index>();
         const prefix = this.toString();
+        const frequency = +this._period.frequency();
+        const offset = this._period.offset();
         const scanBegin = this._period.next(time(+t1 - +this._duration));
-        let periodIndex = Math.ceil(+scanBegin / +this._period.frequency());
-        const indexes = [];
-        while (periodIndex * +this._period.frequency() <= +t2) {
+        let periodIndex = Math.ceil((+scanBegin - offset) / frequency);
+        while (periodIndex * frequency + offset <= +t2) {
             result = result.add(new Index(`${prefix}-${periodIndex}`));
             periodIndex += 1;
         }
@@ -253,24 +389,96 @@ export class Window extends WindowBase {
     }
 }
 
+/**
+ * A `SessionWindow` groups together bursts of activity. Rather than being placed
+ * at fixed times, a session begins with the first `Event` seen and remains open
+ * as long as each subsequent `Event` arrives within the `gap` of inactivity
+ * supplied. Once the gap passes without an `Event` the session is closed and
+ * the next `Event` will begin a new session. You can create one with the
+ * `session()` factory function.
+ *
+ * Sessions are tracked separately for each group, so when used with
+ * `GroupedCollection.window()` each group (e.g. each host) will have its
+ * own sessions.
+ *
+ * Each session is represented by an `Index` whose `TimeRange` begins at the
+ * first `Event` of the session and ends one `gap` after its last `Event`,
+ * which is when the session closes.
+ *
+ * Example:
+ * ```
+ * const bursts = collection
+ *     .groupBy("host")
+ *     .window({ window: session(duration("5m")) })
+ *     .aggregate({ bytes: ["bytes", sum()] });
+ * ```
+ */
+// tslint:disable-next-line:max-classes-per-file
+export class SessionWindow extends WindowBase {
+    private _gap: Duration;
+
+    /**
+     * Construct a new `SessionWindow`, supplying the `gap` of inactivity
+     * after which a session is considered closed.
+     */
+    constructor(gap: Duration) {
+        super();
+        this._gap = gap;
+    }
+
+    /**
+     * Returns the gap of inactivity which closes a session
+     */
+    public gap(): Duration {
+        return this._gap;
+    }
+
+    /**
+     * Returns the `Index` for a session whose first `Event` was at `first` and
+     * whose latest `Event` was at `last`. Session indexes can't represent
+     * times before the UNIX epoch, so a session may not begin before 1970.
+     */
+    public getSessionIndex(first: Time, last: Time): Index {
+        if (+first < 0) {
+            throw new Error("Session windows can't begin before 1970");
+        }
+        const length = +last - +first + +this._gap;
+        return index(`${length}l+${+first}-0`);
+    }
+
+    /**
+     * Returns the session that a `Time` would begin if it were seen on its
+     * own, or for a `TimeRange`, the session which would cover that range.
+     *
+     * Which session an `Event` actually ends up in depends on the `Event`s
+     * around it, so this is mainly of use when beginning a new session.
+     */
+    public getIndexSet(t: Time | TimeRange): Immutable.OrderedSet<Index> {
+        if (t instanceof TimeRange) {
+            return Immutable.OrderedSet([this.getSessionIndex(time(t.begin()), time(t.end()))]);
+        }
+        return Immutable.OrderedSet([this.getSessionIndex(t, t)]);
+    }
+}
+
 function window(d: Duration, period?: Period): Window {
     return new Window(d, period);
 }
 
-/*
-function daily() {
-    return new Window(WindowType.Day);
+function daily(tz: string = "Etc/UTC"): DayWindow {
+    return new DayWindow(tz);
 }
-function monthly() {
-    return new Window(WindowType.Month);
+
+function monthly(tz: string = "Etc/UTC"): MonthWindow {
+    return new MonthWindow(tz);
 }
-function yearly() {
-    return new Window(WindowType.Year);
+
+function yearly(tz: string = "Etc/UTC"): YearWindow {
+    return new YearWindow(tz);
 }
-*/
 
-function daily(tz: string = "Etc/UTC"): DayWindow {
-    return new DayWindow(tz);
+function session(gap: Duration): SessionWindow {
+    return new SessionWindow(gap);
 }
 
-export { window, daily /*, monthly, yearly*/ };
+export { window, daily, monthly, yearly, session };
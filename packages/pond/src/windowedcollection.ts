@@ -17,16 +17,12 @@ import { GroupedCollection, GroupingFunction } from "./groupedcollection";
 import { Index, index } from "./index";
 import { Key } from "./key";
 import { SortedCollection } from "./sortedcollection";
-import { time } from "./time";
+import { Time, time } from "./time";
+import { TimeRange, timerange } from "./timerange";
 import util from "./util";
+import { SessionWindow, Window } from "./window";
 
-import {
-    AggregationSpec,
-    AggregationTuple,
-    KeyedCollection,
-    Trigger,
-    WindowingOptions
-} from "./types";
+import { Aggregation, AggregationSpec, KeyedCollection, Trigger, WindowingOptions } from "./types";
 
 import {
     avg,
@@ -41,15 +37,31 @@ import {
     sum
 } from "./functions";
 
+/**
+ * Orders two [end, begin] tuples of window times
+ */
+function compareTuples(a: number[], b: number[]): number {
+    return a[0] !== b[0] ? a[0] - b[0] : a[1] - b[1];
+}
+
+/**
+ * Returns whichever of two `Event`s is later, either of which may be missing
+ */
+function latestEvent<T extends Key>(a: Event<T>, b: Event<T>): Event<T> {
+    return b && (!a || +b.timestamp() > +a.timestamp()) ? b : a;
+}
+
 /**
  * A map of `SortedCollection`s indexed by a string key representing a window.
  */
 export class WindowedCollection<T extends Key> extends Base {
     protected collections: Immutable.Map<string, SortedCollection<T>>;
-    protected options: WindowingOptions;
+    protected options: WindowingOptions<T>;
     protected group: string | string[] | GroupingFunction<T>;
 
     private triggerThreshold: Date;
+    private latestTimestamp: number;
+    private unemitted = Immutable.Set<string>();
 
     /**
      * Builds a new grouping that is based on a window period. This is combined
@@ -60,7 +72,9 @@ export class WindowedCollection<T extends Key> extends Base {
      * defined as a `Period` and a "group", which can be a field to group by, or
      * a function that can be called to do the grouping. Optionally, you may pass
      * in a `SortedCollection` of initial `Event`s to group, as is the case when this is
-     * used in a batch context.
+     * used in a batch context. Without a group, the `Event`s are grouped as "all", so
+     * the result is the same as calling `SortedCollection.window()`, while with a group
+     * it is the same as `SortedCollection.groupBy(group).window()`.
      *
      * As an `Event` is added via `addEvent()`, the windowing and grouping will be
      * applied to it and it will be appended to the appropiate `SortedCollection`,
@@ -73,13 +87,13 @@ export class WindowedCollection<T extends Key> extends Base {
      */
     constructor(collectionMap: Immutable.Map<string, SortedCollection<T>>);
     constructor(
-        windowing: WindowingOptions,
+        windowing: WindowingOptions<T>,
         collectionMap: Immutable.Map<string, SortedCollection<T>>
     );
-    constructor(windowing: WindowingOptions, collection?: SortedCollection<T>);
+    constructor(windowing: WindowingOptions<T>, collection?: SortedCollection<T>);
     constructor(
-        windowing: WindowingOptions,
-        group: string | string[],
+        windowing: WindowingOptions<T>,
+        group: string | string[] | GroupingFunction<T>,
         collection?: SortedCollection<T>
     );
     constructor(arg1: any, arg2?: any, arg3?: any) {
@@ -87,45 +101,39 @@ export class WindowedCollection<T extends Key> extends Base {
         if (Immutable.Map.isMap(arg1)) {
             this.collections = arg1;
         } else {
-            this.options = arg1 as WindowingOptions;
+            this.options = arg1 as WindowingOptions<T>;
 
             if (Immutable.Map.isMap(arg2)) {
                 const collections = arg2 as Immutable.Map<string, SortedCollection<T>>;
-
-                // Rekey all the events in the collections with a new key that
-                // combines their existing group with the windows they fall in.
-                // An event could fall into 0, 1 or many windows, depending on the
-                // window's period and duration, as supplied in the `WindowOptions`.
-                let remapped = Immutable.List();
-                collections.forEach((c, k) => {
-                    c.forEach(e => {
-                        const groups = this.options.window
-                            .getIndexSet(time(e.timestamp()))
-                            .toList();
-                        groups.forEach(g => {
-                            remapped = remapped.push([`${k}::${g.asString()}`, e]);
-                        });
-                    });
-                });
-
-                this.collections = remapped
-                    .groupBy(e => e[0])
-                    .map(eventList => eventList.map(kv => kv[1]))
-                    .map(eventList => new SortedCollection<T>(eventList.toList()))
-                    .toMap();
+                this.collections = this.windowCollections(collections);
             } else {
                 let collection;
                 if (_.isString(arg2) || _.isArray(arg2)) {
                     this.group = util.fieldAsArray(arg2 as string | string[]);
                     collection = arg3 as SortedCollection<T>;
+                } else if (_.isFunction(arg2)) {
+                    this.group = arg2 as GroupingFunction<T>;
+                    collection = arg3 as SortedCollection<T>;
                 } else {
                     collection = arg2 as SortedCollection<T>;
                 }
 
                 if (collection) {
-                    throw new Error("Unimplemented");
+                    // Group the events the same way as `groupBy()` would (or
+                    // as "all" if there's no group), then window each group
+                    let collections: Immutable.Map<string, SortedCollection<T>>;
+                    if (this.group) {
+                        collections = collection
+                            .eventList()
+                            .groupBy(e => this.getGroupKey(e))
+                            .toMap()
+                            .map(events => new SortedCollection<T>(events.toList()));
+                    } else {
+                        collections = Immutable.Map({ all: collection });
+                    }
+                    this.collections = this.windowCollections(collections);
                 } else {
-                    this.collections = Immutable.Map<string, SortedCollection<T>>();
+                    this.collections = Immutable.OrderedMap<string, SortedCollection<T>>();
                 }
             }
         }
@@ -139,6 +147,12 @@ export class WindowedCollection<T extends Key> extends Base {
     }
 
     /**
+     * Aggregates each window down to a single `Event` using the `AggregationSpec`.
+     * Each output field is either a `[field, reducer]` tuple, or a function which is
+     * passed the window's `Collection` and returns the value, which may be an object.
+     * The function is also passed the `TimeRange` of the window and the last `Event`
+     * of the group before the window, as used by `timeWeightedAvg()`.
+     *
      * Example:
      * ```
      * const rolledUp = collection
@@ -147,19 +161,30 @@ export class WindowedCollection<T extends Key> extends Base {
      *   .aggregate({
      *       team: ["team", keep()],
      *       total: [ "score", sum() ],
+     *       games: c => c.size()
      *   });
      * ```
      */
     aggregate(aggregationSpec: AggregationSpec<T>): GroupedCollection<Index> {
         let eventMap = Immutable.Map<string, Immutable.List<Event<Index>>>();
+        let ranges = Immutable.Map<string, TimeRange>();
+        let previousEvents = Immutable.Map<string, Event<T>>();
+        if (_.some(aggregationSpec, _.isFunction)) {
+            ranges = this.collections.map((collection, key) => this.windowRange(key));
+            previousEvents = this.previousEvents(ranges);
+        }
         this.collections.forEach((collection, group) => {
             const d = {};
             const [groupKey, windowKey] = group.split("::");
-            _.forEach(aggregationSpec, (src: AggregationTuple, dest: string) => {
-                const [srcField, reducer] = src;
-                d[dest] = collection.aggregate(reducer, srcField);
+            _.forEach(aggregationSpec, (src: Aggregation<T>, dest: string) => {
+                if (!_.isFunction(src)) {
+                    const [srcField, reducer] = src;
+                    d[dest] = collection.aggregate(reducer, srcField);
+                } else {
+                    d[dest] = src(collection, ranges.get(group), previousEvents.get(group, null));
+                }
             });
-            const eventKey = index(windowKey);
+            const eventKey = index(windowKey, this.timezone());
             const indexedEvent = new Event<Index>(eventKey, Immutable.fromJS(d));
             if (!eventMap.has(groupKey)) {
                 eventMap = eventMap.set(groupKey, Immutable.List());
@@ -198,11 +223,29 @@ export class WindowedCollection<T extends Key> extends Base {
     addEvent(event: Event<T>): Immutable.List<KeyedCollection<T>> {
         let toBeEmitted = Immutable.List<KeyedCollection<T>>();
 
-        const discardWindows = true;
-        const emitOnDiscard = this.options.trigger === Trigger.onDiscardedWindow;
         const emitEveryEvent = this.options.trigger === Trigger.perEvent;
+        const emitOnInterval = this.options.trigger === Trigger.perInterval;
+
+        // Windows which the watermark has already passed have been closed, so
+        // the event only goes into those windows that are still open. If they
+        // have all closed then the event is too late and is passed to the `late`
+        // callback. (An event may also fall between the windows of a hopping
+        // window, in which case it is not collected, but is not late either.)
+        const watermark = this.watermark();
+        const windowKeys = this.getEventGroups(event);
+        const keys: Immutable.List<string> = windowKeys.filter(
+            key => !watermark || +watermark < +this.windowRange(key).end()
+        );
+        if (!windowKeys.isEmpty() && keys.isEmpty()) {
+            if (this.options.late) {
+                this.options.late(event);
+            }
+            return toBeEmitted;
+        }
 
-        const keys: Immutable.List<string> = this.getEventGroups(event);
+        if (_.isUndefined(this.latestTimestamp) || +event.timestamp() > this.latestTimestamp) {
+            this.latestTimestamp = +event.timestamp();
+        }
 
         // Add event to an existing collection(s) or a new collection(s)
         keys.forEach(key => {
@@ -215,43 +258,371 @@ export class WindowedCollection<T extends Key> extends Base {
                 targetCollection = new SortedCollection<T>(Immutable.List());
                 createdCollection = true;
             }
-            this.collections = this.collections.set(key, targetCollection.addEvent(event));
+            this.collections = this.collections.set(
+                key,
+                targetCollection.addEvent(this.apportion(event, key))
+            );
 
-            // Push onto the emit list
+            // Push onto the emit list, or note it for the next interval
             if (emitEveryEvent) {
                 toBeEmitted = toBeEmitted.push([key, this.collections.get(key)]);
+            } else if (emitOnInterval) {
+                this.unemitted = this.unemitted.add(key);
             }
         });
 
-        // Discard past collections
-        let keep = Immutable.Map<string, SortedCollection<T>>();
-        let discard = Immutable.Map<string, SortedCollection<T>>();
+        return toBeEmitted.concat(this.discardClosedWindows());
+    }
+
+    /**
+     * Called on each tick of the wall clock, at the time `now`, when using one of
+     * the wall clock triggers. With `Trigger.perInterval` this returns each open
+     * window that has had `Event`s added since it was last emitted. With
+     * `Trigger.onProcessingTime` the watermark is moved up to the wall clock,
+     * and the windows which that closes are returned.
+     */
+    public onTimer(now: Time): Immutable.List<KeyedCollection<T>> {
+        if (this.options.trigger === Trigger.perInterval) {
+            const updated = this.collections.filter((collection, collectionKey) =>
+                this.unemitted.has(collectionKey)
+            );
+            this.unemitted = Immutable.Set<string>();
+            return this.inClosingOrder(updated);
+        } else if (this.options.trigger === Trigger.onProcessingTime) {
+            if (_.isUndefined(this.latestTimestamp) || +now > this.latestTimestamp) {
+                this.latestTimestamp = +now;
+            }
+            return this.discardClosedWindows();
+        }
+        return Immutable.List<KeyedCollection<T>>();
+    }
+
+    /**
+     * Closes all the open windows, as when the stream of `Event`s has ended.
+     * With `Trigger.onDiscardedWindow` or `Trigger.onProcessingTime` the windows
+     * are returned, in the order they would have closed, so that they can be
+     * emitted. With `Trigger.perInterval` only the windows with `Event`s not yet
+     * emitted are returned, while with `Trigger.perEvent` they were already
+     * emitted as each `Event` was added, so nothing is returned. The watermark
+     * is reset so that new `Event`s may be added afterwards.
+     */
+    public flush(): Immutable.List<KeyedCollection<T>> {
+        const open = this.collections;
+        const unemitted = this.unemitted;
+        this.collections = Immutable.OrderedMap<string, SortedCollection<T>>();
+        this.unemitted = Immutable.Set<string>();
+        this.latestTimestamp = undefined;
+        switch (this.options.trigger) {
+            case Trigger.onDiscardedWindow:
+            case Trigger.onProcessingTime:
+                return this.inClosingOrder(open);
+            case Trigger.perInterval:
+                return this.inClosingOrder(
+                    open.filter((collection, collectionKey) => unemitted.has(collectionKey))
+                );
+            default:
+                return Immutable.List<KeyedCollection<T>>();
+        }
+    }
+
+    /**
+     * Returns the current watermark of the stream of `Event`s added with `addEvent()`.
+     * This is the latest timestamp seen, less the allowed `lateness` of the
+     * `WindowingOptions`. Windows close once the watermark reaches their end, and
+     * `Event`s which only fall into closed windows are considered late. Before any
+     * `Event`s have been added this will be `null`.
+     */
+    public watermark(): Time {
+        if (_.isUndefined(this.latestTimestamp)) {
+            return null;
+        }
+        const lateness = this.options.lateness ? +this.options.lateness : 0;
+        return time(this.latestTimestamp - lateness);
+    }
+
+    /**
+     * Discards the collections the watermark has passed, returning those that
+     * should be emitted as they close. With sliding windows several windows
+     * may close at once, so they are emitted in the order that they closed
+     * (i.e. by window end time). With `Trigger.perInterval` only those windows
+     * with `Event`s that haven't yet been emitted are returned.
+     */
+    private discardClosedWindows(): Immutable.List<KeyedCollection<T>> {
+        const closeBefore = +this.watermark();
+        let keep = Immutable.OrderedMap<string, SortedCollection<T>>();
+        let discard = Immutable.OrderedMap<string, SortedCollection<T>>();
         this.collections.forEach((collection, collectionKey) => {
-            const [__, windowKey] =
-                collectionKey.split("::").length > 1
-                    ? collectionKey.split("::")
-                    : [null, collectionKey];
-            if (+event.timestamp() < +util.timeRangeFromIndexString(windowKey).end()) {
+            if (closeBefore < +this.windowRange(collectionKey).end()) {
                 keep = keep.set(collectionKey, collection);
             } else {
                 discard = discard.set(collectionKey, collection);
             }
         });
-        if (emitOnDiscard) {
-            discard.forEach((collection, collectionKey) => {
-                toBeEmitted = toBeEmitted.push([collectionKey, collection]);
+        this.collections = keep;
+
+        switch (this.options.trigger) {
+            case Trigger.onDiscardedWindow:
+            case Trigger.onProcessingTime:
+                return this.inClosingOrder(discard);
+            case Trigger.perInterval:
+                const unemitted = discard.filter((collection, collectionKey) =>
+                    this.unemitted.has(collectionKey)
+                );
+                this.unemitted = this.unemitted.subtract(discard.keySeq());
+                return this.inClosingOrder(unemitted);
+            default:
+                return Immutable.List<KeyedCollection<T>>();
+        }
+    }
+
+    /**
+     * Returns the windows as a list of `KeyedCollection`s ordered by when they
+     * close (i.e. by window end time, then begin time).
+     */
+    private inClosingOrder(
+        collections: Immutable.Map<string, SortedCollection<T>>
+    ): Immutable.List<KeyedCollection<T>> {
+        return collections
+            .sortBy((collection, collectionKey) => {
+                const range = this.windowRange(collectionKey);
+                return [+range.end(), +range.begin()];
+            }, compareTuples)
+            .map((collection, collectionKey) => [collectionKey, collection] as KeyedCollection<T>)
+            .toList();
+    }
+
+    /**
+     * Returns the `TimeRange` of the window part of a "group::window"
+     * collection key.
+     */
+    private windowRange(collectionKey: string): TimeRange {
+        const parts = collectionKey.split("::");
+        const windowKey = parts.length > 1 ? parts[1] : collectionKey;
+        return util.timeRangeFromIndexString(windowKey, this.timezone());
+    }
+
+    /**
+     * Returns the latest `Event` before the beginning of each window, among all the
+     * windows of the same group, mapped by "group::window" collection key. The windows
+     * of a group are walked in the order they begin, carrying forward the last `Event`
+     * of those that have ended, so only the windows still open need to be searched.
+     */
+    private previousEvents(
+        ranges: Immutable.Map<string, TimeRange>
+    ): Immutable.Map<string, Event<T>> {
+        const group = (key: string) => {
+            const parts = key.split("::");
+            return parts.length > 1 ? parts[0] : null;
+        };
+        let previousEvents = Immutable.Map<string, Event<T>>();
+        ranges
+            .keySeq()
+            .groupBy(group)
+            .forEach(keys => {
+                let latest: Event<T> = null;
+                let open: string[] = [];
+                keys.sortBy(key => +ranges.get(key).begin()).forEach(key => {
+                    const begin = +ranges.get(key).begin();
+                    let previous: Event<T> = null;
+                    open = open.filter(openKey => {
+                        const events = this.collections.get(openKey).eventList();
+                        if (+ranges.get(openKey).end() <= begin) {
+                            latest = latestEvent(latest, events.last());
+                            return false;
+                        }
+                        const before = events.findLast(e => +e.timestamp() < begin);
+                        previous = latestEvent(previous, before);
+                        return true;
+                    });
+                    previousEvents = previousEvents.set(key, latestEvent(latest, previous));
+                    open.push(key);
+                });
+            });
+        return previousEvents;
+    }
+
+    /**
+     * The timezone that window keys should be interpreted in, taken from
+     * the window this collection was built with (UTC if there is none).
+     */
+    private timezone(): string {
+        return this.options && this.options.window ? this.options.window.timezone() : "Etc/UTC";
+    }
+
+    /**
+     * Returns the session window `Index` for each `Event` in the (sorted) `collection`,
+     * in the same order as the `Event`s. A new session begins whenever the time since
+     * the previous `Event` reaches the gap of the `SessionWindow`.
+     */
+    private getSessionKeys(
+        sessionWindow: SessionWindow,
+        collection: SortedCollection<T>
+    ): Immutable.List<Index> {
+        let keys = Immutable.List<Index>();
+        let begin: Time;
+        let latest: Time;
+        let count = 0;
+        const closeSession = () => {
+            const sessionIndex = sessionWindow.getSessionIndex(begin, latest);
+            keys = keys.concat(Immutable.Repeat(sessionIndex, count));
+        };
+        collection.forEach(e => {
+            const t = time(e.timestamp());
+            if (count > 0 && +t - +latest >= +sessionWindow.gap()) {
+                closeSession();
+                count = 0;
+            }
+            if (count === 0) {
+                begin = t;
+            }
+            latest = t;
+            count++;
+        });
+        if (count > 0) {
+            closeSession();
+        }
+        return keys;
+    }
+
+    /**
+     * Returns the key of the open session for the `groupKey` that the `Event`
+     * belongs to, or a new session if there is none. As a session grows its key
+     * changes, so the existing collection for the session is moved to the new key.
+     */
+    private getSessionKey(sessionWindow: SessionWindow, groupKey: string, event: Event<T>): string {
+        const t = time(event.timestamp());
+        const gap = +sessionWindow.gap();
+        const prefix = groupKey ? `${groupKey}::` : "";
+        const openKey = this.collections.keySeq().find(collectionKey => {
+            const parts = collectionKey.split("::");
+            const sameGroup = groupKey ? parts[0] === `${groupKey}` : parts.length === 1;
+            const range = this.windowRange(collectionKey);
+            return sameGroup && +t < +range.end() && +t > +range.begin() - gap;
+        });
+        if (!openKey) {
+            return `${prefix}${sessionWindow.getSessionIndex(t, t).asString()}`;
+        }
+        const openRange = this.windowRange(openKey);
+        const begin = Math.min(+openRange.begin(), +t);
+        const latest = Math.max(+openRange.end() - gap, +t);
+        const sessionKey = `${prefix}${sessionWindow
+            .getSessionIndex(time(begin), time(latest))
+            .asString()}`;
+        if (sessionKey !== openKey) {
+            const collection = this.collections.get(openKey);
+            this.collections = this.collections.delete(openKey).set(sessionKey, collection);
+        }
+        return sessionKey;
+    }
+
+    /**
+     * Rekey all the events in the collections with a new key that combines
+     * their existing group with the windows they fall in. An event could fall
+     * into 0, 1 or many windows, depending on the window's period and duration,
+     * as supplied in the `WindowOptions`. For a session window, each event falls
+     * into exactly one session which depends on the events around it within
+     * its group.
+     */
+    private windowCollections(
+        collections: Immutable.Map<string, SortedCollection<T>>
+    ): Immutable.Map<string, SortedCollection<T>> {
+        let remapped = Immutable.List();
+        collections.forEach((c, k) => {
+            const sessionKeys =
+                this.options.window instanceof SessionWindow
+                    ? this.getSessionKeys(this.options.window, c)
+                    : null;
+            c.forEach((e, i) => {
+                const groups = sessionKeys
+                    ? Immutable.List([sessionKeys.get(i)])
+                    : this.getWindowIndexes(e);
+                groups.forEach(g => {
+                    const key = `${k}::${g.asString()}`;
+                    remapped = remapped.push([key, this.apportion(e, key)]);
+                });
             });
+        });
+
+        return remapped
+            .groupBy(e => e[0])
+            .map(eventList => eventList.map(kv => kv[1]))
+            .map(eventList => new SortedCollection<T>(eventList.toList()))
+            .toMap();
+    }
+
+    /**
+     * Returns the `Index` of each window the `Event` falls in. An `Event` whose
+     * values are apportioned falls in every window that its `TimeRange` overlaps,
+     * otherwise just those containing its timestamp.
+     */
+    private getWindowIndexes(event: Event<T>): Immutable.List<Index> {
+        const range = this.apportionedRange(event);
+        if (!range) {
+            return this.options.window.getIndexSet(time(event.timestamp())).toList();
         }
-        this.collections = keep;
+        return this.options.window
+            .getIndexSet(range)
+            .toList()
+            .filter(windowIndex => this.overlap(range, windowIndex.asString()) > 0);
+    }
 
-        return toBeEmitted;
+    /**
+     * Returns the `TimeRange` of the `Event` if its values are to be apportioned
+     * between windows, or null if the `Event` belongs wholly to each window it is in.
+     * Only `TimeRange` keyed `Event`s with some duration are apportioned.
+     */
+    private apportionedRange(event: Event<T>): TimeRange {
+        const key = event.getKey();
+        const apportioning =
+            this.options.apportion && !(this.options.window instanceof SessionWindow);
+        return apportioning && key instanceof TimeRange && key.duration() > 0 ? key : null;
     }
 
-    private getEventGroups(event: Event<T>): Immutable.List<string> {
-        // Window the data
-        const windowKeyList = this.options.window.getIndexSet(time(event.timestamp())).toList();
+    /**
+     * Returns the ms of the `range` which overlap the window of the `collectionKey`
+     */
+    private overlap(range: TimeRange, collectionKey: string): number {
+        const windowRange = this.windowRange(collectionKey);
+        // Calendar windows end on their last ms, rather than where the next one begins
+        const windowEnd =
+            this.options.window instanceof Window ? +windowRange.end() : +windowRange.end() + 1;
+        const begin = Math.max(+range.begin(), +windowRange.begin());
+        const end = Math.min(+range.end(), windowEnd);
+        return end - begin;
+    }
+
+    /**
+     * Returns the part of the `Event` which falls in the window of the `collectionKey`.
+     * If the `Event`'s values are apportioned, its `TimeRange` is clipped to the window
+     * and the `apportion` fields are scaled by the fraction of the range which overlaps
+     * the window. Otherwise the `Event` is returned as is.
+     */
+    private apportion(event: Event<T>, collectionKey: string): Event<T> {
+        const range = this.apportionedRange(event);
+        if (!range) {
+            return event;
+        }
+        const windowRange = this.windowRange(collectionKey);
+        const overlap = this.overlap(range, collectionKey);
+        const fraction = overlap / range.duration();
+        const begin = Math.max(+range.begin(), +windowRange.begin());
+        const fields = this.options.apportion;
+        let d = event.getData();
+        (_.isString(fields) ? [fields] : fields).forEach(path => {
+            const fieldPath = util.fieldAsArray(path);
+            const value = d.getIn(fieldPath);
+            if (_.isNumber(value)) {
+                d = d.setIn(fieldPath, value * fraction);
+            }
+        });
+        return new Event(timerange(begin, begin + overlap), d) as Event<any>;
+    }
+
+    /**
+     * Returns the group of the `Event`, or null if this collection isn't grouped
+     */
+    private getGroupKey(event: Event<T>): string {
         let fn;
-        // Group the data
         if (this.group) {
             if (_.isFunction(this.group)) {
                 fn = this.group;
@@ -261,7 +632,18 @@ export class WindowedCollection<T extends Key> extends Base {
                 fn = e => e.get(fs);
             }
         }
-        const groupKey = fn ? fn(event) : null;
+        return fn ? fn(event) : null;
+    }
+
+    private getEventGroups(event: Event<T>): Immutable.List<string> {
+        // Group the data
+        const groupKey = this.getGroupKey(event);
+
+        // Window the data
+        if (this.options.window instanceof SessionWindow) {
+            return Immutable.List([this.getSessionKey(this.options.window, groupKey, event)]);
+        }
+        const windowKeyList = this.getWindowIndexes(event);
         return windowKeyList.map(
             windowKey => (groupKey ? `${groupKey}::${windowKey}` : `${windowKey}`)
         );
@@ -270,20 +652,20 @@ export class WindowedCollection<T extends Key> extends Base {
 
 function windowFactory<T extends Key>(collectionMap: Immutable.Map<string, SortedCollection<T>>);
 function windowFactory<T extends Key>(
-    windowOptions: WindowingOptions,
+    windowOptions: WindowingOptions<T>,
     collectionMap?: Immutable.Map<string, SortedCollection<T>>
 );
 function windowFactory<T extends Key>(
-    windowOptions: WindowingOptions,
+    windowOptions: WindowingOptions<T>,
     initialCollection?: SortedCollection<T> // tslint:disable-line:unified-signatures
 );
 function windowFactory<T extends Key>(
-    windowOptions: WindowingOptions,
-    group: string | string[],
+    windowOptions: WindowingOptions<T>,
+    group: string | string[] | GroupingFunction<T>,
     initialCollection?: SortedCollection<T>
 );
-function windowFactory<T extends Key>(arg1: any, arg2?: any) {
-    return new WindowedCollection<T>(arg1, arg2);
+function windowFactory<T extends Key>(arg1: any, arg2?: any, arg3?: any) {
+    return new WindowedCollection<T>(arg1, arg2, arg3);
 }
 
 export { windowFactory as windowed };
@@ -22,6 +22,7 @@ import { duration } from "../src/duration";
 import { event } from "../src/event";
 import { period } from "../src/period";
 import { sortedCollection } from "../src/sortedcollection";
+import { stream } from "../src/stream";
 import { time } from "../src/time";
 
 import { timeSeries } from "../src/timeseries";
@@ -113,3 +114,135 @@ it("can do alignment on already align data", () => {
     expect(aligned.at(2).get("value")).toBe(10.923076923076923);
     expect(aligned.at(3).get("value")).toBe(11.846153846153847);
 });
+
+it("can do nearest alignment", () => {
+    const list = SIMPLE_GAP_DATA.map(e => {
+        return event(time(e[0]), Immutable.Map({ value: e[1] }));
+    });
+
+    const c = sortedCollection(Immutable.List(list));
+    const aligned = c.align({
+        fieldSpec: "value",
+        period: period(duration("1m")),
+        method: AlignmentMethod.Nearest
+    });
+
+    expect(aligned.size()).toBe(8);
+    expect(aligned.eventList().map(e => e.get("value")).toArray()).toEqual([
+        0.75, 2, 1, 1, 1, 1, 1, 3
+    ]);
+});
+
+it("can do next alignment", () => {
+    const list = SIMPLE_GAP_DATA.map(e => {
+        return event(time(e[0]), Immutable.Map({ value: e[1] }));
+    });
+
+    const c = sortedCollection(Immutable.List(list));
+    const aligned = c.align({
+        fieldSpec: "value",
+        period: period(duration("1m")),
+        method: AlignmentMethod.Next
+    });
+
+    expect(aligned.size()).toBe(8);
+    expect(aligned.eventList().map(e => e.get("value")).toArray()).toEqual([
+        2, 1, 1, 1, 1, 1, 3, 3
+    ]);
+
+    // An event on a boundary is its own next value
+    const onBoundary = sortedCollection(
+        Immutable.List([
+            event(time(60000), Immutable.Map({ value: 1 })),
+            event(time(150000), Immutable.Map({ value: 2 }))
+        ])
+    ).align({ fieldSpec: "value", period: period(duration("1m")), method: AlignmentMethod.Next });
+    expect(onBoundary.eventList().map(e => e.get("value")).toArray()).toEqual([1, 2]);
+});
+
+it("can do monotone cubic alignment", () => {
+    const c = sortedCollection(
+        Immutable.List([
+            event(time(0), Immutable.Map({ value: 0 })),
+            event(time(60000), Immutable.Map({ value: 0 })),
+            event(time(120000), Immutable.Map({ value: 10 })),
+            event(time(180000), Immutable.Map({ value: 10 }))
+        ])
+    );
+    const aligned = c.align({
+        fieldSpec: "value",
+        period: period(duration("15s")),
+        method: AlignmentMethod.MonotoneCubic
+    });
+
+    // The boundaries between the last two events are included
+    expect(aligned.size()).toBe(12);
+    expect(aligned.at(11).timestamp().getTime()).toBe(165000);
+
+    // Flat either side of the step, and never overshooting it
+    const values = aligned.eventList().map(e => e.get("value")).toArray();
+    expect(values.slice(0, 5)).toEqual([0, 0, 0, 0, 0]);
+    expect(values.slice(8)).toEqual([10, 10, 10, 10]);
+    expect(values[6]).toBe(5);
+    expect(values[5]).toBeGreaterThan(0);
+    expect(values[5]).toBeLessThan(values[6]);
+    expect(values[7]).toBeLessThan(10);
+});
+
+it("can do monotone cubic alignment of a straight line", () => {
+    const ts = timeSeries({
+        name: "line",
+        columns: ["time", "value"],
+        points: [[0, 0], [60000, 6], [150000, 15], [180000, 18]]
+    });
+    const aligned = ts.align({
+        fieldSpec: "value",
+        period: period(duration("30s")),
+        method: AlignmentMethod.MonotoneCubic
+    });
+
+    expect(aligned.size()).toBe(6);
+    aligned.forEach(e => {
+        expect(e.get("value")).toBeCloseTo(e.timestamp().getTime() / 10000);
+    });
+});
+
+it("can limit monotone cubic alignment over gaps", () => {
+    const c = sortedCollection(
+        Immutable.List([
+            event(time(0), Immutable.Map({ value: 0 })),
+            event(time(60000), Immutable.Map({ value: 6 })),
+            event(time(240000), Immutable.Map({ value: 24 }))
+        ])
+    );
+    const aligned = c.align({
+        fieldSpec: "value",
+        period: period(duration("1m")),
+        method: AlignmentMethod.MonotoneCubic,
+        limit: 2
+    });
+
+    expect(aligned.eventList().map(e => e.get("value")).toArray()).toEqual([
+        0, null, null, null
+    ]);
+});
+
+it("can do monotone cubic alignment of a stream, one event behind", () => {
+    const results = [];
+    const source = stream()
+        .align({
+            fieldSpec: "value",
+            period: period(duration("1m")),
+            method: AlignmentMethod.MonotoneCubic
+        })
+        .output(e => results.push(e));
+
+    [[0, 0], [60000, 6], [120000, 12]].forEach(([t, value]) =>
+        source.addEvent(event(time(t), Immutable.Map({ value })))
+    );
+    expect(results.map(e => e.get("value"))).toEqual([0]);
+
+    // The boundary before the last event waits for the flush
+    source.flush();
+    expect(results.map(e => e.get("value"))).toEqual([0, 6]);
+});
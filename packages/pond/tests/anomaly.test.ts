@@ -0,0 +1,110 @@
+declare const it: any;
+declare const expect: any;
+
+import * as Immutable from "immutable";
+
+import { duration } from "../src/duration";
+import { event, Event } from "../src/event";
+import { sortedCollection } from "../src/sortedcollection";
+import { stream } from "../src/stream";
+import { time, Time } from "../src/time";
+import { timeSeries } from "../src/timeseries";
+
+import { AnomalyMethod } from "../src/types";
+
+const events = [
+    event(time(0), Immutable.Map({ value: 10 })),
+    event(time(30000), Immutable.Map({ value: 12 })),
+    event(time(60000), Immutable.Map({ value: 11 })),
+    event(time(90000), Immutable.Map({ value: 13 })),
+    event(time(120000), Immutable.Map({ value: 10 })),
+    event(time(150000), Immutable.Map({ value: 50 })),
+    event(time(180000), Immutable.Map({ value: 11 })),
+    event(time(210000), Immutable.Map({ value: 20 }))
+];
+
+it("can flag anomalies by z-score against the last few values", () => {
+    const c = sortedCollection(Immutable.List(events));
+    const scored = c.detectAnomalies({ fieldSpec: "value", count: 5 });
+    expect(scored.size()).toBe(8);
+    expect(scored.at(0).get("value")).toBe(10);
+    expect(scored.at(0).get("value_score")).toBeNull();
+    expect(scored.at(0).get("value_is_anomaly")).toBe(false);
+    expect(scored.at(1).get("value_score")).toBeNull();
+    expect(scored.at(2).get("value_score")).toBeCloseTo(0);
+    expect(scored.at(5).get("value_score")).toBeCloseTo(33.27, 2);
+    expect(scored.at(5).get("value_is_anomaly")).toBe(true);
+    expect(scored.at(6).get("value_is_anomaly")).toBe(false);
+    expect(scored.at(7).get("value_is_anomaly")).toBe(false);
+});
+
+it("can flag anomalies by the median absolute deviation", () => {
+    const c = sortedCollection(Immutable.List(events));
+    const scored = c.detectAnomalies({ fieldSpec: "value", count: 5, method: AnomalyMethod.Mad });
+    expect(scored.at(5).get("value_is_anomaly")).toBe(true);
+    expect(scored.at(6).get("value_score")).toBeCloseTo(-0.6745);
+    expect(scored.at(6).get("value_is_anomaly")).toBe(false);
+
+    // Unlike the z-score, the earlier anomaly doesn't hide this one
+    expect(scored.at(7).get("value_score")).toBeCloseTo(6.07, 2);
+    expect(scored.at(7).get("value_is_anomaly")).toBe(true);
+});
+
+it("can score against a trailing window and handle no spread", () => {
+    const list = Immutable.List([
+        event(time(0), Immutable.Map({ value: 5 })),
+        event(time(10000), Immutable.Map({ value: 5 })),
+        event(time(20000), Immutable.Map({ value: 6 })),
+        event(time(30000), Immutable.Map({ value: null })),
+        event(time(300000), Immutable.Map({ value: 6 }))
+    ]);
+    const scored = sortedCollection(list).detectAnomalies({
+        fieldSpec: "value",
+        window: duration("1m")
+    });
+    expect(scored.at(2).get("value_score")).toBeNull();
+    expect(scored.at(2).get("value_is_anomaly")).toBe(true);
+    expect(scored.at(3).get("value_score")).toBeNull();
+    expect(scored.at(3).get("value_is_anomaly")).toBe(false);
+
+    // Everything before has fallen out of the window
+    expect(scored.at(4).get("value_score")).toBeNull();
+    expect(scored.at(4).get("value_is_anomaly")).toBe(false);
+});
+
+it("can detect anomalies in a TimeSeries", () => {
+    const series = timeSeries({
+        name: "link",
+        columns: ["time", "value"],
+        points: [
+            [0, 10],
+            [30000, 12],
+            [60000, 11],
+            [90000, 13],
+            [120000, 10],
+            [150000, 50],
+            [180000, 11],
+            [210000, 20]
+        ]
+    });
+    const scored = series.detectAnomalies({ fieldSpec: "value", count: 5, threshold: 2 });
+    expect(scored.name()).toBe("link");
+    expect(scored.columns()).toEqual(["value", "value_score", "value_is_anomaly"]);
+    expect(scored.at(5).get("value_is_anomaly")).toBe(true);
+});
+
+it("can detect anomalies in a stream of events", () => {
+    const results: Array<Event<Time>> = [];
+    const source = stream<Time>()
+        .detectAnomalies({ fieldSpec: "value", count: 5 })
+        .filter(e => e.get("value_is_anomaly"))
+        .output(e => results.push(e as Event<Time>));
+    events.forEach(e => source.addEvent(e));
+    expect(results.length).toBe(1);
+    expect(results[0].get("value")).toBe(50);
+});
+
+it("can't detect anomalies without a window or count", () => {
+    const c = sortedCollection(Immutable.List(events));
+    expect(() => c.detectAnomalies({ fieldSpec: "value" })).toThrow();
+});
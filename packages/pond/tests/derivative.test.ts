@@ -0,0 +1,96 @@
+declare const it: any;
+declare const expect: any;
+
+import * as Immutable from "immutable";
+
+import { duration } from "../src/duration";
+import { event } from "../src/event";
+import { sortedCollection } from "../src/sortedcollection";
+import { stream } from "../src/stream";
+import { time } from "../src/time";
+import { timeSeries } from "../src/timeseries";
+
+const events = [
+    event(time(0), Immutable.Map({ value: 1 })),
+    event(time(30000), Immutable.Map({ value: 3 })),
+    event(time(60000), Immutable.Map({ value: 10 })),
+    event(time(90000), Immutable.Map({ value: 40 }))
+];
+
+it("can take the delta between events, keeping their keys", () => {
+    const deltas = sortedCollection(Immutable.List(events)).delta({ fieldSpec: "value" });
+    expect(deltas.size()).toEqual(3);
+    expect(deltas.at(0).keyType()).toEqual("time");
+    expect(deltas.at(0).timestamp().getTime()).toEqual(30000);
+    expect(deltas.at(0).get("value_delta")).toEqual(2);
+    expect(deltas.at(1).get("value_delta")).toEqual(7);
+    expect(deltas.at(2).get("value_delta")).toEqual(30);
+});
+
+it("can take the derivative per a unit of time", () => {
+    const c = sortedCollection(Immutable.List(events));
+    const perSecond = c.derivative({ fieldSpec: "value" });
+    expect(perSecond.at(0).timestamp().getTime()).toEqual(30000);
+    expect(perSecond.at(2).get("value_derivative")).toEqual(1);
+
+    const perMinute = c.derivative({ fieldSpec: "value", unit: duration("1m") });
+    expect(perMinute.at(0).get("value_derivative")).toEqual(4);
+    expect(perMinute.at(1).get("value_derivative")).toEqual(14);
+    expect(perMinute.at(2).get("value_derivative")).toEqual(60);
+});
+
+it("can integrate with the trapezoidal rule", () => {
+    const integral = sortedCollection(Immutable.List(events)).integral({ fieldSpec: "value" });
+    expect(integral.size()).toEqual(4);
+    expect(integral.at(0).get("value_integral")).toEqual(0);
+    expect(integral.at(1).get("value_integral")).toEqual(60);
+    expect(integral.at(2).get("value_integral")).toEqual(255);
+    expect(integral.at(3).get("value_integral")).toEqual(1005);
+});
+
+it("can skip missing values when integrating or taking differences", () => {
+    const c = sortedCollection(
+        Immutable.List([
+            event(time(0), Immutable.Map({ value: 1 })),
+            event(time(10000), Immutable.Map({ value: null })),
+            event(time(20000), Immutable.Map({ value: 3 })),
+            event(time(30000), Immutable.Map({ value: 5 }))
+        ])
+    );
+    const integral = c.integral({ fieldSpec: "value", unit: duration("10s") });
+    expect(integral.eventList().map(e => e.get("value_integral")).toJS()).toEqual([0, 0, 0, 4]);
+
+    const deltas = c.delta({ fieldSpec: "value" });
+    expect(deltas.eventList().map(e => e.get("value_delta")).toJS()).toEqual([null, null, 2]);
+});
+
+it("can integrate a rate back into a total", () => {
+    const series = timeSeries({
+        name: "traffic",
+        columns: ["time", "bytes"],
+        points: [[0, 0], [10000, 1000], [20000, 3000], [30000, 6000]]
+    });
+    const totals = series.rate({ fieldSpec: "bytes" }).integral({ fieldSpec: "bytes_rate" });
+    expect(totals.name()).toEqual("traffic");
+    expect(totals.at(0).get("bytes_rate_integral")).toEqual(1000);
+    expect(totals.at(1).get("bytes_rate_integral")).toEqual(3000);
+    expect(totals.at(2).get("bytes_rate_integral")).toEqual(6000);
+});
+
+it("can take deltas, derivatives and integrals in a stream", () => {
+    const results = { delta: [], derivative: [], integral: [] };
+    const source = stream();
+    source.delta({ fieldSpec: "value" }).output(e => results.delta.push(e.get("value_delta")));
+    source
+        .derivative({ fieldSpec: "value", unit: duration("30s") })
+        .output(e => results.derivative.push(e.get("value_derivative")));
+    source
+        .integral({ fieldSpec: "value" })
+        .output(e => results.integral.push(e.get("value_integral")));
+
+    events.forEach(e => source.addEvent(e));
+
+    expect(results.delta).toEqual([2, 7, 30]);
+    expect(results.derivative).toEqual([2, 7, 30]);
+    expect(results.integral).toEqual([0, 60, 255, 1005]);
+});
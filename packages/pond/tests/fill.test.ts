@@ -13,7 +13,10 @@ declare const expect: any;
 
 import * as Immutable from "immutable";
 
+import { duration } from "../src/duration";
 import { event, Event } from "../src/event";
+import { period } from "../src/period";
+import { sortedCollection } from "../src/sortedcollection";
 import { stream } from "../src/stream";
 import { time } from "../src/time";
 import { timeSeries } from "../src/timeseries";
@@ -388,3 +391,136 @@ it("can do streaming fill with limit (zero fill)", () => {
     expect(results[6].get("value")).toBeNull();
     expect(results[7].get("value")).toBeNull();
 });
+
+it("can do streaming linear fill of several nested fields in one pass", () => {
+    const results: Event[] = [];
+
+    const source = stream()
+        .fill({ method: FillMethod.Linear, fieldSpec: ["direction.in", "direction.out"] })
+        .output(evt => {
+            const e = evt as Event;
+            results.push(e);
+        });
+
+    [
+        [1400425947000, { in: 1, out: 2 }],
+        [1400425948000, { in: null, out: 4 }],
+        [1400425949000, { in: 3, out: null }],
+        [1400425950000, { in: 4, out: null }],
+        [1400425951000, { in: 5, out: 10 }]
+    ].forEach(([t, direction]) =>
+        source.addEvent(event(time(t as number), Immutable.fromJS({ direction })))
+    );
+
+    expect(results.length).toBe(5);
+    expect(results.map(e => e.get("direction.in"))).toEqual([1, 2, 3, 4, 5]);
+    expect(results.map(e => e.get("direction.out"))).toEqual([2, 4, 6, 8, 10]);
+});
+
+it("can hold back events until all their fields are linear filled", () => {
+    const results: Event[] = [];
+
+    const source = stream()
+        .fill({ method: FillMethod.Linear, fieldSpec: ["a", "b"] })
+        .output(evt => {
+            const e = evt as Event;
+            results.push(e);
+        });
+
+    source.addEvent(event(time(0), Immutable.Map({ a: 0, b: 0 })));
+    source.addEvent(event(time(1000), Immutable.Map({ a: null, b: 1 })));
+    expect(results.length).toBe(1);
+
+    // Filling the "a" gap releases the second event, but the third waits on "b"
+    source.addEvent(event(time(2000), Immutable.Map({ a: 2, b: null })));
+    expect(results.length).toBe(2);
+    source.addEvent(event(time(3000), Immutable.Map({ a: 3, b: null })));
+    expect(results.length).toBe(2);
+
+    source.flush();
+    expect(results.length).toBe(4);
+    expect(results.map(e => e.get("a"))).toEqual([0, 1, 2, 3]);
+    expect(results.map(e => e.get("b"))).toEqual([0, 1, null, null]);
+});
+
+it("can keep the events at the end of a collection that can't be linear filled", () => {
+    const list = Immutable.List([
+        event(time(0), Immutable.Map({ a: 0, b: 0 })),
+        event(time(1000), Immutable.Map({ a: null, b: 1 })),
+        event(time(2000), Immutable.Map({ a: 2, b: 2 })),
+        event(time(3000), Immutable.Map({ a: 3, b: null })),
+        event(time(4000), Immutable.Map({ a: 4, b: null }))
+    ]);
+    const filled = sortedCollection(list).fill({
+        method: FillMethod.Linear,
+        fieldSpec: ["a", "b"]
+    });
+
+    expect(filled.size()).toBe(5);
+    expect(filled.eventList().map(e => e.get("a")).toArray()).toEqual([0, 1, 2, 3, 4]);
+    expect(filled.eventList().map(e => e.get("b")).toArray()).toEqual([0, 1, 2, null, null]);
+
+    const series = timeSeries({
+        name: "traffic",
+        columns: ["time", "a", "b"],
+        points: [[0, 0, 0], [1000, 1, 1], [2000, 2, null], [3000, null, null]]
+    });
+    expect(series.fill({ method: FillMethod.Linear, fieldSpec: ["a", "b"] }).size()).toBe(4);
+});
+
+const GAP_EVENTS = [
+    event(time(0), Immutable.Map({ value: 1, other: "a" })),
+    event(time(60000), Immutable.Map({ value: 2, other: "b" })),
+    event(time(240000), Immutable.Map({ value: 5, other: "c" })),
+    event(time(300000), Immutable.Map({ value: 6, other: "d" }))
+];
+
+it("can insert missing events at a period and fill them linearly", () => {
+    const filled = sortedCollection(Immutable.List(GAP_EVENTS)).fill({
+        fieldSpec: "value",
+        method: FillMethod.Linear,
+        period: period(duration("1m"))
+    });
+
+    expect(filled.size()).toBe(6);
+    expect(filled.eventList().map(e => e.timestamp().getTime()).toArray()).toEqual([
+        0, 60000, 120000, 180000, 240000, 300000
+    ]);
+    expect(filled.eventList().map(e => e.get("value")).toArray()).toEqual([1, 2, 3, 4, 5, 6]);
+
+    // Inserted events only have the filled fields
+    expect(filled.at(2).get("other")).toBeUndefined();
+    expect(filled.at(4).get("other")).toBe("c");
+});
+
+it("can insert missing events at a period as explicit nulls", () => {
+    const ts = timeSeries({
+        name: "gaps",
+        columns: ["time", "value"],
+        points: [[0, 1], [60000, 2], [300000, 6]]
+    });
+    const filled = ts.fill({
+        fieldSpec: "value",
+        method: FillMethod.Zero,
+        period: period(duration("1m")),
+        limit: 2
+    });
+
+    expect(filled.size()).toBe(6);
+    expect(filled.eventList().map(e => e.get("value")).toArray()).toEqual([1, 2, 0, 0, null, 6]);
+});
+
+it("can do streaming gap fill with pad", () => {
+    const results: Event[] = [];
+
+    const source = stream()
+        .fill({ method: FillMethod.Pad, fieldSpec: "value", period: period(duration("1m")) })
+        .output(evt => {
+            const e = evt as Event;
+            results.push(e);
+        });
+    GAP_EVENTS.forEach(e => source.addEvent(e));
+
+    expect(results.length).toBe(6);
+    expect(results.map(e => e.get("value"))).toEqual([1, 2, 2, 2, 5, 6]);
+});
@@ -12,7 +12,35 @@ declare const describe: any;
 declare const it: any;
 declare const expect: any;
 
-import { avg, filter, percentile, sum } from "../src/functions";
+import * as Immutable from "immutable";
+
+import { duration } from "../src/duration";
+import { event, Event } from "../src/event";
+import {
+    area,
+    avg,
+    filter,
+    median,
+    mergedAvg,
+    mergedCount,
+    mergedMax,
+    mergedMin,
+    mergedStdev,
+    mergedSum,
+    partial,
+    percentile,
+    stdev,
+    sum,
+    timeWeightedAvg,
+    timeWeightedPercentile
+} from "../src/functions";
+import { Index } from "../src/index";
+import { sortedCollection } from "../src/sortedcollection";
+import { stream } from "../src/stream";
+import { time, Time } from "../src/time";
+import { timeSeries } from "../src/timeseries";
+import { Trigger } from "../src/types";
+import { daily, window } from "../src/window";
 
 const goodValues = [1, 2, 3, 4, 5];
 const badValues = [1, 2, null, 4, 5];
@@ -83,6 +111,20 @@ describe("Function: avg()", () => {
     });
 });
 
+describe("Function: median()", () => {
+    it("can find the median of numbers in any order", () => {
+        expect(median()([2, 10, 3])).toEqual(3);
+        expect(median()([100, 9, 20, 1])).toEqual(14.5);
+    });
+
+    it("can find the median without reordering the values", () => {
+        const values = [3, 1, 2];
+        expect(median()(values)).toEqual(2);
+        expect(median(filter.propagateMissing)(values)).toEqual(2);
+        expect(values).toEqual([3, 1, 2]);
+    });
+});
+
 describe("Function: percentile()", () => {
     it("can use the percentile function", () => {
         const values = [1142, 944, 433, 367, 986];
@@ -95,3 +137,154 @@ describe("Function: percentile()", () => {
         expect(percentile(100)(values)).toEqual(1142.0);
     });
 });
+
+describe("Time weighted functions", () => {
+    const minutes = (m: number) => m * 60000;
+
+    // 10 for 20 minutes then 40, until 0 half way through the second hour
+    const POINTS = [[minutes(0), 10], [minutes(20), 40], [minutes(90), 0]];
+
+    it("can weight values by the time until the next value", () => {
+        const c = sortedCollection(
+            Immutable.List(POINTS.map(([t, value]) => event(time(t), Immutable.Map({ value }))))
+        );
+        expect(timeWeightedAvg("value")(c)).toBeCloseTo((10 * 20 + 40 * 70) / 90);
+        expect(area("value", duration("1m"))(c)).toBe(10 * 20 + 40 * 70);
+        expect(timeWeightedPercentile("value", 10)(c)).toBe(10);
+        expect(timeWeightedPercentile("value", 50)(c)).toBe(40);
+    });
+
+    it("can apportion values at the window boundaries of a rollup", () => {
+        const series = timeSeries({ name: "gauge", columns: ["time", "value"], points: POINTS });
+        const rollup = series.fixedWindowRollup({
+            window: window(duration("1h")),
+            aggregation: {
+                avg: ["value", avg()],
+                twa: timeWeightedAvg("value"),
+                median: timeWeightedPercentile("value", 50),
+                area: area("value")
+            }
+        });
+
+        expect(rollup.size()).toBe(2);
+        expect(rollup.at(0).get("avg")).toBe(25);
+        expect(rollup.at(0).get("twa")).toBe(30);
+        expect(rollup.at(0).get("median")).toBe(40);
+        expect(rollup.at(0).get("area")).toBe((10 * 20 + 40 * 40) * 60);
+
+        // The 40 from the first hour holds for the start of the second
+        expect(rollup.at(1).get("avg")).toBe(0);
+        expect(rollup.at(1).get("twa")).toBe(20);
+        expect(rollup.at(1).get("area")).toBe(40 * 30 * 60);
+    });
+
+    it("can apportion values at the window boundaries of a stream", () => {
+        const results: { [key: string]: Event<Index> } = {};
+        const source = stream<Time>()
+            .groupByWindow({ window: window(duration("1h")), trigger: Trigger.onDiscardedWindow })
+            .aggregate({ twa: timeWeightedAvg("value") })
+            .output(evt => {
+                const e = evt as Event<Index>;
+                results[e.getKey().toString()] = e;
+            });
+
+        POINTS.forEach(([t, value]) => source.addEvent(event(time(t), Immutable.Map({ value }))));
+        source.flush();
+
+        expect(results["1h-0"].get("twa")).toBe(30);
+        expect(results["1h-1"].get("twa")).toBe(20);
+    });
+
+    it("can apportion values across empty windows", () => {
+        const series = timeSeries({
+            name: "gauge",
+            columns: ["time", "value"],
+            points: [[minutes(0), 10], [minutes(30), 40], [minutes(200), 0]]
+        });
+        const rollup = series.fixedWindowRollup({
+            window: window(duration("1h")),
+            aggregation: { twa: timeWeightedAvg("value") }
+        });
+
+        // There's no event in the second and third hours, so the 40 holds into the fourth
+        expect(rollup.size()).toBe(2);
+        expect(rollup.at(1).get("twa")).toBeCloseTo(40 / 3);
+    });
+
+    it("can apportion values in the timezone of the windows of a stream", () => {
+        const results: Array<Event<Index>> = [];
+        const source = stream<Time>()
+            .groupByWindow({ window: daily("America/Chicago"), trigger: Trigger.onDiscardedWindow })
+            .aggregate({ twa: timeWeightedAvg("value") })
+            .output(e => results.push(e as Event<Index>));
+
+        // Midnight, noon and the next midnight in Chicago
+        source.addEvent(event(time("2017-07-01T05:00:00Z"), Immutable.Map({ value: 10 })));
+        source.addEvent(event(time("2017-07-01T17:00:00Z"), Immutable.Map({ value: 40 })));
+        source.addEvent(event(time("2017-07-02T05:00:00Z"), Immutable.Map({ value: 0 })));
+        source.flush();
+
+        expect(results[0].indexAsString()).toBe("2017-07-01");
+        expect(results[0].begin().toISOString()).toBe("2017-07-01T05:00:00.000Z");
+        expect(results[0].get("twa")).toBeCloseTo(25);
+    });
+
+    it("can't find a time weighted percentile out of range", () => {
+        expect(() => timeWeightedPercentile("value", 101)).toThrow();
+    });
+});
+
+describe("Partial aggregates", () => {
+    const eventList = (values: any[]) =>
+        Immutable.List(values.map((value, i) => event(time(i * 1000), Immutable.Map({ value }))));
+
+    it("can merge partial aggregates exactly", () => {
+        const first = partial("value")(sortedCollection(eventList([1, 2, null])));
+        const second = partial("value")(sortedCollection(eventList([4, 5, 9])));
+        expect(first.count).toBe(2);
+        expect(first.sum).toBe(3);
+
+        const merged = sortedCollection(eventList([first, second].map(p => Immutable.fromJS(p))));
+        const all = [1, 2, 4, 5, 9];
+        expect(mergedCount("value")(merged)).toBe(5);
+        expect(mergedSum("value")(merged)).toBe(21);
+        expect(mergedAvg("value")(merged)).toBe(avg()(all));
+        expect(mergedMin("value")(merged)).toBe(1);
+        expect(mergedMax("value")(merged)).toBe(9);
+        expect(mergedStdev("value")(merged)).toBeCloseTo(stdev()(all));
+        expect(partial("value")(merged)).toEqual(
+            partial("value")(sortedCollection(eventList(all)))
+        );
+    });
+
+    it("can roll up a rollup without averaging the averages", () => {
+        const minutes = (m: number) => m * 60000;
+        const series = timeSeries({
+            name: "gauge",
+            columns: ["time", "value"],
+            points: [[minutes(0), 1], [minutes(5), 2], [minutes(10), 3], [minutes(60), 10]]
+        });
+
+        const hourly = series.hourlyRollup({
+            aggregation: { value: mergedAvg("value"), state: partial("value") }
+        });
+        expect(hourly.at(0).get("value")).toBe(2);
+        expect(hourly.at(0).get("state.count")).toBe(3);
+
+        const daily = hourly.dailyRollup({
+            aggregation: {
+                averaged: ["value", avg()],
+                value: mergedAvg("state"),
+                stdev: mergedStdev("state"),
+                max: mergedMax("state"),
+                state: partial("state")
+            }
+        });
+        expect(daily.size()).toBe(1);
+        expect(daily.at(0).get("averaged")).toBe(6);
+        expect(daily.at(0).get("value")).toBe(4);
+        expect(daily.at(0).get("stdev")).toBeCloseTo(Math.sqrt(12.5));
+        expect(daily.at(0).get("max")).toBe(10);
+        expect(daily.at(0).get("state.count")).toBe(4);
+    });
+});
@@ -9,9 +9,11 @@ import { duration } from "../src/duration";
 import { event } from "../src/event";
 import { period } from "../src/period";
 import { sortedCollection } from "../src/sortedcollection";
+import { stream } from "../src/stream";
 import { time } from "../src/time";
+import { timeSeries } from "../src/timeseries";
 
-import { AlignmentMethod } from "../src/types";
+import { AlignmentMethod, CounterReset } from "../src/types";
 
 const DATA2 = [
     [0, 1],
@@ -122,3 +124,62 @@ it("can output a null rate when data has nulls", () => {
     expect(rates.at(2).get("in_rate")).toEqual(null);
     expect(rates.at(3).get("in_rate")).toEqual(1);
 });
+
+it("can calculate the rate of a counter across a wrap", () => {
+    const max = Math.pow(2, 32);
+    const series = timeSeries({
+        name: "counter",
+        columns: ["time", "in"],
+        points: [[0, max - 1296], [10000, max - 296], [20000, 704], [30000, 1704]]
+    });
+    const rates = series.rate({ fieldSpec: "in", counterMax: max });
+
+    expect(rates.size()).toEqual(3);
+    expect(rates.at(0).get("in_rate")).toEqual(100);
+    expect(rates.at(1).get("in_rate")).toEqual(100);
+    expect(rates.at(2).get("in_rate")).toEqual(100);
+});
+
+it("can emit null or the rate since a reset for a counter", () => {
+    const list = [[0, 1000000], [10000, 1001000], [20000, 500]].map(e => {
+        return event(time(e[0]), Immutable.Map({ in: e[1] }));
+    });
+    const c = sortedCollection(Immutable.List(list));
+
+    const nullRates = c.rate({ fieldSpec: "in", counterMax: Math.pow(2, 64) });
+    expect(nullRates.at(0).get("in_rate")).toEqual(100);
+    expect(nullRates.at(1).get("in_rate")).toBeNull();
+
+    const resetRates = c.rate({
+        fieldSpec: "in",
+        counterMax: Math.pow(2, 64),
+        reset: CounterReset.Value
+    });
+    expect(resetRates.at(1).get("in_rate")).toEqual(50);
+});
+
+it("can tell a reset from a wrap using the maximum believable rate", () => {
+    const list = [[0, 4000000000], [10000, 100]].map(e => {
+        return event(time(e[0]), Immutable.Map({ in: e[1] }));
+    });
+    const c = sortedCollection(Immutable.List(list));
+
+    const wrapped = c.rate({ fieldSpec: "in", counterMax: Math.pow(2, 32) });
+    expect(wrapped.at(0).get("in_rate")).toEqual(29496739.6);
+
+    const reset = c.rate({ fieldSpec: "in", counterMax: Math.pow(2, 32), maxRate: 1000000 });
+    expect(reset.at(0).get("in_rate")).toBeNull();
+});
+
+it("can calculate the rate of a counter in a stream", () => {
+    const results = [];
+    const source = stream()
+        .rate({ fieldSpec: "in", counterMax: 1000, reset: CounterReset.Value })
+        .output(e => results.push(e.get("in_rate")));
+
+    [[0, 900], [10000, 100], [20000, 300], [30000, 50]].forEach(e => {
+        source.addEvent(event(time(e[0]), Immutable.Map({ in: e[1] })));
+    });
+
+    expect(results).toEqual([20, 20, 5]);
+});
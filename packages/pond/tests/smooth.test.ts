@@ -0,0 +1,130 @@
+declare const it: any;
+declare const expect: any;
+
+import * as Immutable from "immutable";
+
+import { duration } from "../src/duration";
+import { event, Event } from "../src/event";
+import { sortedCollection } from "../src/sortedcollection";
+import { stream } from "../src/stream";
+import { time, Time } from "../src/time";
+import { timeSeries } from "../src/timeseries";
+
+import { SmoothingMethod } from "../src/types";
+
+const events = [
+    event(time(0), Immutable.Map({ value: 1 })),
+    event(time(30000), Immutable.Map({ value: 3 })),
+    event(time(60000), Immutable.Map({ value: 10 })),
+    event(time(90000), Immutable.Map({ value: 40 }))
+];
+
+it("can smooth with an exponentially weighted moving average", () => {
+    const c = sortedCollection(Immutable.List(events));
+    const smoothed = c.smooth({ fieldSpec: "value", alpha: 0.5 });
+    expect(smoothed.size()).toBe(4);
+    expect(smoothed.at(0).get("value")).toBe(1);
+    expect(smoothed.at(1).get("value")).toBe(2);
+    expect(smoothed.at(2).get("value")).toBe(6);
+    expect(smoothed.at(3).get("value")).toBe(23);
+});
+
+it("can smooth irregularly spaced events with a half-life", () => {
+    const c = sortedCollection(
+        Immutable.List([
+            event(time(0), Immutable.Map({ value: 0 })),
+            event(time(30000), Immutable.Map({ value: 10 })),
+            event(time(90000), Immutable.Map({ value: 20 }))
+        ])
+    );
+    const smoothed = c.smooth({ fieldSpec: "value", halfLife: duration("30s") });
+    expect(smoothed.at(1).get("value")).toBe(5);
+    expect(smoothed.at(2).get("value")).toBe(16.25);
+});
+
+it("can give no weight to out of order values when smoothing with a half-life", () => {
+    const results: Array<Event<Time>> = [];
+    const source = stream<Time>()
+        .smooth({ fieldSpec: "value", halfLife: duration("30s") })
+        .output(e => results.push(e as Event<Time>));
+    const outOfOrder = [
+        event(time(0), Immutable.Map({ value: 0 })),
+        event(time(30000), Immutable.Map({ value: 10 })),
+        event(time(20000), Immutable.Map({ value: 100 })),
+        event(time(90000), Immutable.Map({ value: 20 }))
+    ];
+    outOfOrder.forEach(e => source.addEvent(e));
+    expect(results.map(e => e.get("value"))).toEqual([0, 5, 5, 16.25]);
+});
+
+it("can smooth with a simple moving average over a trailing window", () => {
+    const c = sortedCollection(Immutable.List(events));
+    const smoothed = c.smooth({
+        fieldSpec: "value",
+        method: SmoothingMethod.MovingAverage,
+        window: duration("1m")
+    });
+    expect(smoothed.at(0).get("value")).toBe(1);
+    expect(smoothed.at(1).get("value")).toBe(2);
+    expect(smoothed.at(2).get("value")).toBe(6.5);
+    expect(smoothed.at(3).get("value")).toBe(25);
+});
+
+it("can smooth with double exponential (Holt) smoothing", () => {
+    const c = sortedCollection(
+        Immutable.List([
+            event(time(0), Immutable.Map({ value: 0 })),
+            event(time(10000), Immutable.Map({ value: 10 })),
+            event(time(20000), Immutable.Map({ value: 20 })),
+            event(time(30000), Immutable.Map({ value: 30 }))
+        ])
+    );
+    const smoothed = c.smooth({
+        fieldSpec: "value",
+        method: SmoothingMethod.Holt,
+        alpha: 0.5,
+        beta: 0.5
+    });
+    expect(smoothed.at(1).get("value")).toBeCloseTo(5);
+    expect(smoothed.at(2).get("value")).toBeCloseTo(13.75);
+    expect(smoothed.at(3).get("value")).toBeCloseTo(24.6875);
+});
+
+it("can pass missing values through the smoothing untouched", () => {
+    const list = Immutable.List([
+        event(time(0), Immutable.Map({ value: 2, other: "a" })),
+        event(time(30000), Immutable.Map({ value: null, other: "b" })),
+        event(time(60000), Immutable.Map({ value: 4, other: "c" }))
+    ]);
+    const smoothed = sortedCollection(list).smooth({ fieldSpec: "value", alpha: 0.5 });
+    expect(smoothed.at(1).get("value")).toBeNull();
+    expect(smoothed.at(1).get("other")).toBe("b");
+    expect(smoothed.at(2).get("value")).toBe(3);
+});
+
+it("can smooth a TimeSeries", () => {
+    const series = timeSeries({
+        name: "traffic",
+        columns: ["time", "value"],
+        points: [[0, 1], [30000, 3], [60000, 10], [90000, 40]]
+    });
+    const smoothed = series.smooth({ fieldSpec: "value", alpha: 0.5 });
+    expect(smoothed.name()).toBe("traffic");
+    expect(smoothed.at(3).get("value")).toBe(23);
+});
+
+it("can smooth a stream of events", () => {
+    const results: Array<Event<Time>> = [];
+    const source = stream<Time>()
+        .smooth({ fieldSpec: "value", alpha: 0.5 })
+        .output(e => results.push(e as Event<Time>));
+    events.forEach(e => source.addEvent(e));
+    expect(results.map(e => e.get("value"))).toEqual([1, 2, 6, 23]);
+});
+
+it("can't smooth without an alpha, half-life or window", () => {
+    const c = sortedCollection(Immutable.List(events));
+    expect(() => c.smooth({ fieldSpec: "value" })).toThrow();
+    expect(() => c.smooth({ fieldSpec: "value", alpha: 2 })).toThrow();
+    expect(() => c.smooth({ fieldSpec: "value", method: SmoothingMethod.MovingAverage })).toThrow();
+});
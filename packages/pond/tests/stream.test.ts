@@ -6,6 +6,7 @@ import * as Immutable from "immutable";
 import Moment = moment.Moment;
 import * as _ from "lodash";
 import * as moment from "moment";
+import { Readable } from "stream";
 
 import { Collection } from "../src/collection";
 import { duration } from "../src/duration";
@@ -16,9 +17,10 @@ import { period } from "../src/period";
 import { stream } from "../src/stream";
 import { time, Time } from "../src/time";
 import { Trigger } from "../src/types";
-import { window } from "../src/window";
+import { session, window } from "../src/window";
 
-import { AlignmentMethod } from "../src/types";
+import { AlignmentMethod, FillMethod } from "../src/types";
+import Util from "../src/util";
 
 const streamingEvents = [
     event(time(0), Immutable.Map({ count: 5, value: 1 })),
@@ -34,6 +36,36 @@ const streamingEvents = [
     event(time(300000), Immutable.Map({ count: 2, value: 510 }))
 ];
 
+/**
+ * A clock which only moves when told to, firing any timers that fall due
+ */
+class TestClock {
+    private timers = [];
+    constructor(private t: number) {}
+    now() {
+        return this.t;
+    }
+    setInterval(callback: () => void, ms: number) {
+        const timer = { callback, ms, next: this.t + ms };
+        this.timers.push(timer);
+        return timer;
+    }
+    clearInterval(timer) {
+        this.timers = this.timers.filter(tt => tt !== timer);
+    }
+    advance(ms: number) {
+        const until = this.t + ms;
+        this.timers.forEach(timer => {
+            while (timer.next <= until) {
+                this.t = timer.next;
+                timer.next += timer.ms;
+                timer.callback();
+            }
+        });
+        this.t = until;
+    }
+}
+
 describe("Streaming", () => {
     it("can do streaming of just events", () => {
         const SIMPLE_GAP_DATA = [
@@ -174,6 +206,73 @@ describe("Streaming", () => {
         expect(result["30m-792400"].get("in_avg")).toEqual(4.5);
         expect(result["30m-792400"].get("out_avg")).toEqual(8);
     });
+
+    it("can window and aggregate each group of a stream separately", () => {
+        const t = (h, m) => time(Date.UTC(2015, 2, 14, h, m, 0));
+        const eventsIn = [
+            event(t(7, 57), Immutable.Map({ interface: "eth0", in: 3 })),
+            event(t(7, 58), Immutable.Map({ interface: "eth1", in: 10 })),
+            event(t(7, 59), Immutable.Map({ interface: "eth0", in: 6 })),
+            event(t(8, 0), Immutable.Map({ interface: "eth1", in: 20 })),
+            event(t(8, 1), Immutable.Map({ interface: "eth0", in: 5 })),
+            event(t(8, 31), Immutable.Map({ interface: "eth0", in: 0 }))
+        ];
+
+        const result: { [key: string]: Event<Index> } = {};
+        const source = stream<Time>()
+            .groupByWindow(
+                { window: window(duration("30m")), trigger: Trigger.onDiscardedWindow },
+                "interface"
+            )
+            .aggregate({ in_total: ["in", sum()] })
+            .output(evt => {
+                const e = evt as Event<Index>;
+                result[`${e.get("group")}/${e.getKey().toString()}`] = e;
+            });
+
+        eventsIn.forEach(e => source.addEvent(e));
+
+        expect(Object.keys(result).length).toBe(4);
+        expect(result["eth0/30m-792399"].get("in_total")).toBe(9);
+        expect(result["eth0/30m-792400"].get("in_total")).toBe(5);
+        expect(result["eth1/30m-792399"].get("in_total")).toBe(10);
+        expect(result["eth1/30m-792400"].get("in_total")).toBe(20);
+    });
+
+    it("can aggregate a window with a function of its collection", () => {
+        const results: Array<Event<Index>> = [];
+        const source = stream<Time>()
+            .groupByWindow({ window: window(duration("1h")), trigger: Trigger.perEvent })
+            .aggregate({
+                in_avg: ["in", avg()],
+                weighted: c => c.sum("in") / c.sum("weight")
+            })
+            .output(evt => results.push(evt as Event<Index>));
+
+        source.addEvent(event(time(0), Immutable.Map({ in: 2, weight: 1 })));
+        source.addEvent(event(time(60000), Immutable.Map({ in: 10, weight: 3 })));
+
+        expect(results.map(e => e.get("in_avg"))).toEqual([2, 6]);
+        expect(results.map(e => e.get("weighted"))).toEqual([2, 3]);
+    });
+
+    it("can group a windowed stream with a function", () => {
+        const results: Array<Event<Index>> = [];
+        const source = stream<Time>()
+            .groupByWindow(
+                { window: window(duration("1h")), trigger: Trigger.perEvent },
+                e => (e.get("value") > 10 ? "high" : "low")
+            )
+            .aggregate({ count: ["value", count()] })
+            .output(evt => results.push(evt as Event<Index>));
+
+        [5, 20, 7].forEach((value, i) =>
+            source.addEvent(event(time(i * 60000), Immutable.Map({ value })))
+        );
+
+        expect(results.map(e => e.get("group"))).toEqual(["low", "high", "low"]);
+        expect(results.map(e => e.get("count"))).toEqual([1, 1, 2]);
+    });
     it("can do streaming event remapping", () => {
         const eventsIn = [
             event(time(Date.UTC(2015, 2, 14, 7, 57, 0)), Immutable.Map({ a: 1 })),
@@ -365,6 +464,84 @@ describe("Streaming", () => {
         expect(c.at(3).get("count")).toBe(3);
     });
 
+    it("can emit each sliding window exactly once when it closes", () => {
+        const base = Date.UTC(2015, 2, 14, 1, 0, 0);
+        const eventsIn = [];
+        for (let i = 0; i < 20; i++) {
+            eventsIn.push(event(time(base + i * 60000 + 30000), Immutable.Map({ value: i })));
+        }
+
+        const results: Array<Event<Index>> = [];
+        const slidingWindow = window(duration("5m"), period(duration("1m")));
+        const source = stream<Time>()
+            .groupByWindow({
+                window: slidingWindow,
+                trigger: Trigger.onDiscardedWindow
+            })
+            .aggregate({
+                count: ["value", count()],
+                total: ["value", sum()]
+            })
+            .output(e => results.push(e as Event<Index>));
+
+        eventsIn.forEach(e => source.addEvent(e));
+
+        // A final event, far in the future, closes all the open windows at once
+        source.addEvent(event(time(base + 3600000), Immutable.Map({ value: 0 })));
+
+        // Windows begin at 00:56 (containing the first event) up to 01:19 (the last)
+        const keys = results.map(e => e.getKey().toString());
+        expect(keys.length).toBe(24);
+        expect(new Set(keys).size).toBe(24);
+
+        const begins = results.map(e => +e.begin());
+        expect(begins).toEqual(_.range(-4, 20).map(i => base + i * 60000));
+
+        // Full windows contain 5 events
+        expect(results[4].get("count")).toBe(5);
+        expect(results[4].get("total")).toBe(0 + 1 + 2 + 3 + 4);
+        expect(results[23].get("count")).toBe(1);
+        expect(results[23].get("total")).toBe(19);
+    });
+
+    it("can add each event to every sliding window it belongs to", () => {
+        const calls: string[] = [];
+        const slidingWindow = window(duration("3m"), period(duration("1m")));
+        const source = stream<Time>()
+            .groupByWindow({
+                window: slidingWindow,
+                trigger: Trigger.perEvent
+            })
+            .output((collection, key) => calls.push(key));
+
+        source.addEvent(event(time(Date.UTC(2015, 2, 14, 1, 15, 30)), Immutable.Map({ a: 1 })));
+
+        expect(calls).toEqual(["3m@1m-23771593", "3m@1m-23771594", "3m@1m-23771595"]);
+    });
+
+    it("can process a hopping window", () => {
+        const results: Array<Event<Index>> = [];
+        const hoppingWindow = window(duration("1m"), period(duration("5m")));
+        const source = stream<Time>()
+            .groupByWindow({
+                window: hoppingWindow,
+                trigger: Trigger.onDiscardedWindow
+            })
+            .aggregate({ total: ["value", sum()] })
+            .output(e => results.push(e as Event<Index>));
+
+        // One event per 30 seconds over 15 minutes
+        const base = Date.UTC(2015, 2, 14, 1, 0, 0);
+        for (let i = 0; i < 30; i++) {
+            source.addEvent(event(time(base + i * 30000), Immutable.Map({ value: 1 })));
+        }
+
+        // Windows at 01:00, 01:05 and 01:10 each see two events, the rest are dropped
+        expect(results.length).toBe(3);
+        expect(results.map(e => +e.begin() - base)).toEqual([0, 300000, 600000]);
+        expect(results.map(e => e.get("total"))).toEqual([2, 2, 2]);
+    });
+
     it("can process a running total using the straeam reduce() function", () => {
         const results = [];
 
@@ -515,4 +692,533 @@ describe("Streaming", () => {
         expect(results[9].get("in")).toBe(5);
         expect(results[9].get("out")).toBe(13);
     });
+
+    it("can emit a session once a gap of inactivity has passed", () => {
+        const base = Date.UTC(2015, 2, 14, 1, 0, 0);
+        const minutes = [0, 1, 3, 4, 10, 11, 30];
+        const results: Array<Event<Index>> = [];
+        const source = stream<Time>()
+            .groupByWindow({
+                window: session(duration("5m")),
+                trigger: Trigger.onDiscardedWindow
+            })
+            .aggregate({
+                count: ["value", count()],
+                total: ["value", sum()]
+            })
+            .output(e => results.push(e as Event<Index>));
+
+        minutes.forEach(m =>
+            source.addEvent(event(time(base + m * 60000), Immutable.Map({ value: m })))
+        );
+
+        // The session at 30 minutes is still open
+        expect(results.length).toBe(2);
+        expect(results[0].get("count")).toBe(4);
+        expect(results[0].get("total")).toBe(8);
+        expect(+results[0].begin()).toBe(base);
+        expect(+results[0].end()).toBe(base + 9 * 60000);
+        expect(results[1].get("count")).toBe(2);
+        expect(+results[1].begin()).toBe(base + 10 * 60000);
+        expect(+results[1].end()).toBe(base + 16 * 60000);
+    });
+
+    it("can emit a growing session on each event", () => {
+        const base = Date.UTC(2015, 2, 14, 1, 0, 0);
+        const keys: string[] = [];
+        const source = stream<Time>()
+            .groupByWindow({
+                window: session(duration("5m")),
+                trigger: Trigger.perEvent
+            })
+            .output((c, key) => keys.push(key));
+
+        [0, 2, 4].forEach(m =>
+            source.addEvent(event(time(base + m * 60000), Immutable.Map({ value: m })))
+        );
+
+        // Each event extends the same session, so it is emitted with its latest key
+        const ends = keys.map(key => +Util.timeRangeFromIndexString(key).end());
+        expect(ends).toEqual([5, 7, 9].map(m => base + m * 60000));
+    });
+
+    it("can hold windows open for late events until the watermark passes", () => {
+        const base = Date.UTC(2015, 2, 14, 1, 0, 0);
+        const at = (m, sec) => time(base + m * 60000 + sec * 1000);
+        const results: Array<Event<Index>> = [];
+        const late: Event[] = [];
+        const source = stream<Time>()
+            .groupByWindow({
+                window: window(duration("1m")),
+                trigger: Trigger.onDiscardedWindow,
+                lateness: duration("1m"),
+                late: e => late.push(e)
+            })
+            .aggregate({
+                count: ["value", count()],
+                total: ["value", sum()]
+            })
+            .output(e => results.push(e as Event<Index>));
+        expect(source.watermark()).toBeNull();
+        expect(stream<Time>().watermark()).toBeNull();
+
+        source.addEvent(event(at(0, 30), Immutable.Map({ value: 1 })));
+        source.addEvent(event(at(1, 30), Immutable.Map({ value: 2 })));
+
+        // Out of order, but within the allowed lateness
+        source.addEvent(event(at(0, 50), Immutable.Map({ value: 3 })));
+        expect(results.length).toBe(0);
+
+        // Moves the watermark to 02:10, closing the first two windows
+        source.addEvent(event(at(3, 10), Immutable.Map({ value: 4 })));
+        expect(+source.watermark()).toBe(+at(2, 10));
+        expect(results.length).toBe(2);
+        expect(results[0].get("count")).toBe(2);
+        expect(results[0].get("total")).toBe(4);
+        expect(results[1].get("total")).toBe(2);
+
+        // Too late, its window has closed
+        source.addEvent(event(at(0, 40), Immutable.Map({ value: 5 })));
+        expect(late.length).toBe(1);
+        expect(late[0].get("value")).toBe(5);
+
+        source.addEvent(event(at(10, 0), Immutable.Map({ value: 6 })));
+        expect(results.length).toBe(3);
+        expect(results[2].get("total")).toBe(4);
+    });
+
+    it("can send events for closed windows to a side output rather than re-opening them", () => {
+        const base = Date.UTC(2015, 2, 14, 1, 0, 0);
+        const keys: string[] = [];
+        const late: Event[] = [];
+        const source = stream<Time>()
+            .groupByWindow({
+                window: window(duration("1m")),
+                trigger: Trigger.onDiscardedWindow,
+                late: e => late.push(e)
+            })
+            .output((c, key) => keys.push(key));
+
+        [0, 1, 0, 2].forEach(m =>
+            source.addEvent(event(time(base + m * 60000 + 1000), Immutable.Map({ value: m })))
+        );
+
+        // The 01:00 window was emitted once, and not re-opened by the late event
+        expect(keys).toEqual(["1m-23771580", "1m-23771581"]);
+        expect(late.length).toBe(1);
+    });
+
+    it("can return a Promise from addEvent() when an output is asynchronous", () => {
+        const results = [];
+        const syncSource = stream().output(e => results.push(e));
+        const asyncSource = stream().output(e => Promise.resolve().then(() => results.push(e)));
+
+        const e1 = event(time(Date.UTC(2015, 2, 14, 1, 0, 0)), Immutable.Map({ value: 1 }));
+        expect(syncSource.addEvent(e1)).toBeUndefined();
+        const pending = asyncSource.addEvent(e1) as Promise<void>;
+        expect(pending).toBeInstanceOf(Promise);
+        return pending.then(() => expect(results.length).toBe(2));
+    });
+
+    it("can consume an async iterable, waiting on asynchronous outputs", async () => {
+        const base = Date.UTC(2015, 2, 14, 1, 0, 0);
+        const log: string[] = [];
+
+        async function* source() {
+            for (let i = 0; i < 3; i++) {
+                log.push(`read ${i}`);
+                yield event(time(base + i * 60000), Immutable.Map({ value: i }));
+            }
+        }
+
+        const s = stream<Time>().output(async e => {
+            log.push(`write ${e.get("value")}`);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            log.push(`done ${e.get("value")}`);
+        });
+
+        await s.consume(source());
+
+        // The next event isn't read until the output is done with the last
+        expect(log).toEqual([
+            "read 0",
+            "write 0",
+            "done 0",
+            "read 1",
+            "write 1",
+            "done 1",
+            "read 2",
+            "write 2",
+            "done 2"
+        ]);
+    });
+
+    it("can consume a Readable stream into windowed aggregation", async () => {
+        const base = Date.UTC(2015, 2, 14, 1, 0, 0);
+        const events = [];
+        for (let i = 0; i < 10; i++) {
+            events.push(event(time(base + i * 60000), Immutable.Map({ value: i })));
+        }
+
+        const results: Array<Event<Index>> = [];
+        const s = stream<Time>()
+            .groupByWindow({
+                window: window(duration("5m")),
+                trigger: Trigger.onDiscardedWindow
+            })
+            .aggregate({ total: ["value", sum()] })
+            .output(e => {
+                results.push(e as Event<Index>);
+                return Promise.resolve();
+            });
+
+        await s.consume(Readable.from(events));
+
+        // The second window is emitted once the source has ended
+        expect(results.length).toBe(2);
+        expect(results[0].get("total")).toBe(0 + 1 + 2 + 3 + 4);
+        expect(results[1].get("total")).toBe(5 + 6 + 7 + 8 + 9);
+    });
+
+    it("can flush the last open window at the end of the input", () => {
+        const base = Date.UTC(2015, 2, 14, 1, 0, 0);
+        const results: Array<Event<Index>> = [];
+        const source = stream<Time>()
+            .groupByWindow({
+                window: window(duration("5m")),
+                trigger: Trigger.onDiscardedWindow
+            })
+            .aggregate({ total: ["value", sum()] })
+            .output(e => results.push(e as Event<Index>));
+
+        for (let i = 0; i < 8; i++) {
+            source.addEvent(event(time(base + i * 60000), Immutable.Map({ value: i })));
+        }
+        expect(results.length).toBe(1);
+
+        source.flush();
+        expect(results.length).toBe(2);
+        expect(results[1].get("total")).toBe(5 + 6 + 7);
+
+        // Nothing more to emit
+        source.flush();
+        expect(results.length).toBe(2);
+    });
+
+    it("can flush events waiting on a linear fill", () => {
+        const base = Date.UTC(2015, 2, 14, 1, 0, 0);
+        const results = [];
+        const source = stream<Time>()
+            .fill({ fieldSpec: "value", method: FillMethod.Linear })
+            .output(e => results.push(e));
+
+        [1, null, 3, null, null].forEach((value, i) =>
+            source.addEvent(event(time(base + i * 60000), Immutable.Map({ value })))
+        );
+        expect(results.map(e => e.get("value"))).toEqual([1, 2, 3]);
+
+        // The trailing events have nothing to interpolate to, so are emitted as is
+        source.flush();
+        expect(results.map(e => e.get("value"))).toEqual([1, 2, 3, null, null]);
+    });
+
+    it("can flush sliding windows in the order that they would close", () => {
+        const base = Date.UTC(2015, 2, 14, 1, 0, 0);
+        const keys: string[] = [];
+        const source = stream<Time>()
+            .groupByWindow({
+                window: window(duration("3m"), period(duration("1m"))),
+                trigger: Trigger.onDiscardedWindow
+            })
+            .output((c, key) => keys.push(key));
+
+        source.addEvent(event(time(base + 30000), Immutable.Map({ value: 1 })));
+        source.flush();
+
+        const ends = keys.map(key => +Util.timeRangeFromIndexString(key).end());
+        expect(ends).toEqual([1, 2, 3].map(m => base + m * 60000));
+    });
+
+    it("can close windows by the wall clock when the input goes quiet", () => {
+        const base = Date.UTC(2015, 2, 14, 1, 0, 0);
+        const clock = new TestClock(base);
+        const results: Array<Event<Index>> = [];
+        const late: Event[] = [];
+        const source = stream<Time>()
+            .groupByWindow({
+                window: window(duration("1m")),
+                trigger: Trigger.onProcessingTime,
+                interval: duration("10s"),
+                late: e => late.push(e),
+                clock
+            })
+            .aggregate({ total: ["value", sum()] })
+            .output(e => results.push(e as Event<Index>));
+
+        source.addEvent(event(time(base + 5000), Immutable.Map({ value: 1 })));
+        source.addEvent(event(time(base + 20000), Immutable.Map({ value: 2 })));
+
+        clock.advance(50000);
+        expect(results.length).toBe(0);
+
+        // No more events, but the window's end passes by the clock
+        clock.advance(10000);
+        expect(results.length).toBe(1);
+        expect(results[0].get("total")).toBe(3);
+
+        // Nothing further to close
+        clock.advance(60000);
+        expect(results.length).toBe(1);
+
+        // Now that the window has closed, an event for it is late
+        source.addEvent(event(time(base + 30000), Immutable.Map({ value: 3 })));
+        source.flush();
+        expect(results.length).toBe(1);
+        expect(late.length).toBe(1);
+    });
+
+    it("can emit updated windows on a wall clock interval", () => {
+        const base = Date.UTC(2015, 2, 14, 1, 0, 0);
+        const clock = new TestClock(base);
+        const results: Array<Event<Index>> = [];
+        const source = stream<Time>()
+            .groupByWindow({
+                window: window(duration("1m")),
+                trigger: Trigger.perInterval,
+                interval: duration("15s"),
+                clock
+            })
+            .aggregate({ total: ["value", sum()] })
+            .output(e => results.push(e as Event<Index>));
+
+        source.addEvent(event(time(base + 1000), Immutable.Map({ value: 1 })));
+        source.addEvent(event(time(base + 2000), Immutable.Map({ value: 2 })));
+        clock.advance(15000);
+        expect(results.map(e => e.get("total"))).toEqual([3]);
+
+        // Unchanged windows aren't emitted again
+        clock.advance(15000);
+        expect(results.length).toBe(1);
+
+        source.addEvent(event(time(base + 31000), Immutable.Map({ value: 3 })));
+        clock.advance(15000);
+        expect(results.map(e => e.get("total"))).toEqual([3, 6]);
+
+        // An event in the next window closes the first one, which was already emitted
+        source.addEvent(event(time(base + 61000), Immutable.Map({ value: 4 })));
+        expect(results.length).toBe(2);
+
+        // Flushing stops the timer and emits the window that's not yet been seen
+        source.flush();
+        expect(results.map(e => e.get("total"))).toEqual([3, 6, 4]);
+        clock.advance(60000);
+        expect(results.length).toBe(3);
+    });
+
+    it("can raise errors from outputs of the wall clock timer on the next event", async () => {
+        const base = Date.UTC(2015, 2, 14, 1, 0, 0);
+        const clock = new TestClock(base);
+        const source = stream<Time>()
+            .groupByWindow({
+                window: window(duration("1m")),
+                trigger: Trigger.perInterval,
+                interval: duration("15s"),
+                clock
+            })
+            .aggregate({ total: ["value", sum()] })
+            .output(e => {
+                throw new Error("output failed");
+            });
+
+        source.addEvent(event(time(base + 1000), Immutable.Map({ value: 1 })));
+        expect(() => clock.advance(15000)).not.toThrow();
+        expect(() =>
+            source.addEvent(event(time(base + 2000), Immutable.Map({ value: 2 })))
+        ).toThrow("output failed");
+
+        // Asynchronous outputs are waited on by the next event
+        const handled: number[] = [];
+        const asyncSource = stream<Time>()
+            .groupByWindow({
+                window: window(duration("1m")),
+                trigger: Trigger.perInterval,
+                interval: duration("15s"),
+                clock
+            })
+            .aggregate({ total: ["value", sum()] })
+            .output(e =>
+                Promise.resolve().then(() => {
+                    handled.push(e.get("total"));
+                    if (handled.length > 1) {
+                        throw new Error("async output failed");
+                    }
+                })
+            );
+
+        asyncSource.addEvent(event(time(base + 16000), Immutable.Map({ value: 3 })));
+        clock.advance(15000);
+        await asyncSource.addEvent(event(time(base + 17000), Immutable.Map({ value: 4 })));
+        expect(handled).toEqual([3]);
+
+        clock.advance(15000);
+        await expect(
+            asyncSource.addEvent(event(time(base + 18000), Immutable.Map({ value: 5 })))
+        ).rejects.toThrow("async output failed");
+        expect(handled).toEqual([3, 7]);
+    });
+
+    it("can keep events in order while outputs of the wall clock timer are handled", async () => {
+        const base = Date.UTC(2015, 2, 14, 1, 0, 0);
+        const clock = new TestClock(base);
+        const handled: number[] = [];
+        const source = stream<Time>()
+            .groupByWindow({
+                window: window(duration("1m")),
+                trigger: Trigger.perInterval,
+                interval: duration("15s"),
+                clock
+            })
+            .aggregate({ total: ["value", sum()] })
+            .output(e => Promise.resolve().then(() => handled.push(e.get("total"))));
+
+        source.addEvent(event(time(base + 1000), Immutable.Map({ value: 1 })));
+        clock.advance(15000);
+
+        // Neither is awaited, so the second mustn't overtake the first
+        const first = source.addEvent(event(time(base + 20000), Immutable.Map({ value: 10 })));
+        const second = source.addEvent(event(time(base + 130000), Immutable.Map({ value: 100 })));
+        await Promise.all([first, second]);
+        await source.flush();
+        expect(handled).toEqual([1, 11, 100]);
+    });
+
+    it("can join two streams on matching keys", () => {
+        const results: Array<Event<Time>> = [];
+        const inbound = stream<Time>();
+        const outbound = stream<Time>();
+        inbound
+            .join(outbound, { buffer: duration("1m") })
+            .output(e => results.push(e as Event<Time>));
+
+        inbound.addEvent(event(time(0), Immutable.Map({ in: 1, status: "ok" })));
+        inbound.addEvent(event(time(30000), Immutable.Map({ in: 2, status: "ok" })));
+        outbound.addEvent(event(time(0), Immutable.Map({ out: 5, status: "up" })));
+        outbound.addEvent(event(time(15000), Immutable.Map({ out: 6, status: "up" })));
+        outbound.addEvent(event(time(30000), Immutable.Map({ out: 7, status: "up" })));
+
+        expect(results.length).toBe(2);
+        expect(results[0].timestamp().getTime()).toBe(0);
+        expect(results[0].get("in")).toBe(1);
+        expect(results[0].get("out")).toBe(5);
+        expect(results[0].get("left_status")).toBe("ok");
+        expect(results[0].get("right_status")).toBe("up");
+        expect(results[1].timestamp().getTime()).toBe(30000);
+        expect(results[1].get("in")).toBe(2);
+        expect(results[1].get("out")).toBe(7);
+    });
+
+    it("can join two streams on matching keys when one runs ahead of the other", () => {
+        const results: Array<Event<Time>> = [];
+        const inbound = stream<Time>();
+        const outbound = stream<Time>();
+        inbound
+            .join(outbound, { buffer: duration("1m") })
+            .output(e => results.push(e as Event<Time>));
+
+        inbound.addEvent(event(time(0), Immutable.Map({ in: 1 })));
+        inbound.addEvent(event(time(30000), Immutable.Map({ in: 2 })));
+        outbound.addEvent(event(time(0), Immutable.Map({ out: 5 })));
+        outbound.addEvent(event(time(30000), Immutable.Map({ out: 7 })));
+
+        expect(results.map(e => [e.get("in"), e.get("out")])).toEqual([[1, 5], [2, 7]]);
+
+        // Without a buffer nothing could wait for its match
+        expect(() => stream<Time>().join(stream<Time>())).toThrow();
+    });
+
+    it("can join two streams within a tolerance, dropping events that wait too long", () => {
+        const results: Array<Event<Time>> = [];
+        const flushed = [];
+        const inbound = stream<Time>();
+        const outbound = stream<Time>();
+        const joined = inbound.join(outbound, {
+            tolerance: duration("5s"),
+            buffer: duration("30s"),
+            prefix: ["in", "out"]
+        });
+        joined.output(e => results.push(e as Event<Time>));
+        joined
+            .groupByWindow({ window: window(duration("1h")), trigger: Trigger.onDiscardedWindow })
+            .output(collection => flushed.push(collection.size()));
+
+        inbound.addEvent(event(time(0), Immutable.Map({ value: 1 })));
+        outbound.addEvent(event(time(3000), Immutable.Map({ value: 10 })));
+        inbound.addEvent(event(time(60000), Immutable.Map({ value: 2 })));
+        outbound.addEvent(event(time(100000), Immutable.Map({ value: 20 })));
+        outbound.addEvent(event(time(99000), Immutable.Map({ value: 30 })));
+        inbound.addEvent(event(time(100000), Immutable.Map({ value: 3 })));
+
+        // The event at 60s had nothing to match within 5s, and the one at
+        // 100s takes the closest of the two out events
+        expect(results.length).toBe(2);
+        expect(results[0].timestamp().getTime()).toBe(0);
+        expect(results[0].get("in_value")).toBe(1);
+        expect(results[0].get("out_value")).toBe(10);
+        expect(results[1].timestamp().getTime()).toBe(100000);
+        expect(results[1].get("in_value")).toBe(3);
+        expect(results[1].get("out_value")).toBe(20);
+
+        // Downstream is only flushed once both streams have been, however
+        // many times either one is flushed
+        inbound.flush();
+        inbound.flush();
+        expect(flushed).toEqual([]);
+        outbound.flush();
+        expect(flushed).toEqual([2]);
+    });
+
+    it("can merge several streams into one", () => {
+        const results: Array<Event<Time>> = [];
+        const a = stream<Time>();
+        const b = stream<Time>();
+        const c = stream<Time>();
+        a.merge([b, c]).output(e => results.push(e as Event<Time>));
+
+        a.addEvent(event(time(20000), Immutable.Map({ value: 1 })));
+        b.addEvent(event(time(10000), Immutable.Map({ value: 2 })));
+        c.addEvent(event(time(30000), Immutable.Map({ value: 3 })));
+
+        expect(results.map(e => e.get("value"))).toEqual([1, 2, 3]);
+    });
+
+    it("can merge streams in time order, flushing once all have flushed", () => {
+        const results: Array<Event<Time>> = [];
+        const totals: Array<Event<Index>> = [];
+        const a = stream<Time>();
+        const b = stream<Time>();
+        const merged = a.merge([b], { ordered: true });
+        merged.output(e => results.push(e as Event<Time>));
+        merged
+            .groupByWindow({ window: window(duration("1m")), trigger: Trigger.onDiscardedWindow })
+            .aggregate({ total: ["value", sum()] })
+            .output(e => totals.push(e as Event<Index>));
+
+        a.addEvent(event(time(10000), Immutable.Map({ value: 1 })));
+        a.addEvent(event(time(40000), Immutable.Map({ value: 2 })));
+        expect(results.length).toBe(0);
+
+        b.addEvent(event(time(20000), Immutable.Map({ value: 3 })));
+        b.addEvent(event(time(70000), Immutable.Map({ value: 4 })));
+        a.addEvent(event(time(90000), Immutable.Map({ value: 5 })));
+        expect(results.map(e => e.timestamp().getTime())).toEqual([10000, 20000, 40000, 70000]);
+        expect(totals.map(e => e.get("total"))).toEqual([6]);
+
+        // Flushing the same input again doesn't count as the other flushing
+        a.flush();
+        a.flush();
+        expect(results.length).toBe(4);
+        b.flush();
+        expect(results.map(e => e.get("value"))).toEqual([1, 3, 2, 4, 5]);
+        expect(totals.map(e => e.get("total"))).toEqual([6, 9]);
+    });
 });
@@ -0,0 +1,114 @@
+declare const it: any;
+declare const expect: any;
+
+import * as Immutable from "immutable";
+
+import { duration } from "../src/duration";
+import { event, Event } from "../src/event";
+import { stream } from "../src/stream";
+import { time } from "../src/time";
+import { TimeRange } from "../src/timerange";
+
+import { ThresholdDirection } from "../src/types";
+
+it("can emit breach and clear events as a field crosses a level", () => {
+    const results: Array<Event<TimeRange>> = [];
+    const source = stream()
+        .threshold({ fieldSpec: "utilization", enter: 90 })
+        .output(e => results.push(e as Event<TimeRange>));
+
+    const eventsIn = [
+        event(time(0), Immutable.Map({ utilization: 50 })),
+        event(time(60000), Immutable.Map({ utilization: 95 })),
+        event(time(120000), Immutable.Map({ utilization: 97 })),
+        event(time(180000), Immutable.Map({ utilization: 80 })),
+        event(time(240000), Immutable.Map({ utilization: 91 }))
+    ];
+    eventsIn.forEach(e => source.addEvent(e));
+
+    expect(results.length).toBe(3);
+    expect(results[0].get("state")).toBe("breach");
+    expect(results[0].get("utilization")).toBe(95);
+    expect(+results[0].timerange().begin()).toBe(60000);
+    expect(+results[0].timerange().end()).toBe(60000);
+    expect(results[1].get("state")).toBe("clear");
+    expect(results[1].get("utilization")).toBe(80);
+    expect(+results[1].timerange().begin()).toBe(60000);
+    expect(+results[1].timerange().end()).toBe(180000);
+    expect(results[2].get("state")).toBe("breach");
+});
+
+it("can only breach once the field has stayed beyond the level for a duration", () => {
+    const results: Array<Event<TimeRange>> = [];
+    const source = stream()
+        .threshold({ fieldSpec: "utilization", enter: 90, duration: duration("2m") })
+        .output(e => results.push(e as Event<TimeRange>));
+
+    // A one minute spike, then a sustained breach
+    const eventsIn = [
+        event(time(0), Immutable.Map({ utilization: 95 })),
+        event(time(60000), Immutable.Map({ utilization: 85 })),
+        event(time(120000), Immutable.Map({ utilization: 92 })),
+        event(time(180000), Immutable.Map({ utilization: 93 })),
+        event(time(240000), Immutable.Map({ utilization: 96 })),
+        event(time(300000), Immutable.Map({ utilization: 97 }))
+    ];
+    eventsIn.forEach(e => source.addEvent(e));
+
+    expect(results.length).toBe(1);
+    expect(results[0].get("state")).toBe("breach");
+    expect(results[0].get("utilization")).toBe(96);
+    expect(+results[0].timerange().begin()).toBe(120000);
+    expect(+results[0].timerange().end()).toBe(240000);
+});
+
+it("can use separate enter and exit levels for hysteresis", () => {
+    const results: Array<Event<TimeRange>> = [];
+    const source = stream()
+        .threshold({ fieldSpec: "utilization", enter: 90, exit: 80 })
+        .output(e => results.push(e as Event<TimeRange>));
+
+    const eventsIn = [
+        event(time(0), Immutable.Map({ utilization: 91 })),
+        event(time(60000), Immutable.Map({ utilization: 89 })),
+        event(time(120000), Immutable.Map({ utilization: 91 })),
+        event(time(180000), Immutable.Map({ utilization: 85 })),
+        event(time(240000), Immutable.Map({ utilization: 92 })),
+        event(time(300000), Immutable.Map({ utilization: 79 })),
+        event(time(360000), Immutable.Map({ utilization: 85 }))
+    ];
+    eventsIn.forEach(e => source.addEvent(e));
+
+    expect(results.map(e => e.get("state"))).toEqual(["breach", "clear"]);
+    expect(results[1].get("utilization")).toBe(79);
+    expect(+results[1].timerange().begin()).toBe(0);
+    expect(+results[1].timerange().end()).toBe(300000);
+});
+
+it("can watch for a field falling below a level", () => {
+    const results: Array<Event<TimeRange>> = [];
+    const source = stream()
+        .threshold({
+            fieldSpec: "utilization",
+            direction: ThresholdDirection.Below,
+            enter: 10,
+            exit: 20
+        })
+        .output(e => results.push(e as Event<TimeRange>));
+
+    const eventsIn = [
+        event(time(0), Immutable.Map({ utilization: 50 })),
+        event(time(60000), Immutable.Map({ utilization: 5 })),
+        event(time(120000), Immutable.Map({ utilization: null })),
+        event(time(180000), Immutable.Map({ utilization: 15 })),
+        event(time(240000), Immutable.Map({ utilization: 25 }))
+    ];
+    eventsIn.forEach(e => source.addEvent(e));
+
+    expect(results.map(e => e.get("state"))).toEqual(["breach", "clear"]);
+    expect(results[1].get("utilization")).toBe(25);
+});
+
+it("can't use an exit level beyond the enter level", () => {
+    expect(() => stream().threshold({ fieldSpec: "utilization", enter: 80, exit: 90 })).toThrow();
+});
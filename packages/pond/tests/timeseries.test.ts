@@ -19,7 +19,7 @@ import Moment = moment.Moment;
 import { collection, Collection } from "../src/collection";
 import { duration } from "../src/duration";
 import { event, indexedEvent, timeEvent, timeRangeEvent } from "../src/event";
-import { avg, max, sum } from "../src/functions";
+import { avg, keep, max, sum } from "../src/functions";
 import { index, Index } from "../src/index";
 import { time, Time } from "../src/time";
 import { timerange } from "../src/timerange";
@@ -30,7 +30,7 @@ import {
     timeSeries,
     TimeSeriesWireFormat
 } from "../src/timeseries";
-import { TimeAlignment } from "../src/types";
+import { AsOfDirection, JoinType, TimeAlignment } from "../src/types";
 import { window } from "../src/window";
 
 const EVENT_DATA = {
@@ -883,6 +883,153 @@ describe("Merging two timeseries together", () => {
     });
 });
 
+describe("Joining two timeseries together", () => {
+    const IN = {
+        name: "in",
+        columns: ["time", "value", "status"],
+        points: [[1400425947000, 52, "ok"], [1400425948000, 18, "ok"], [1400425949000, 26, "fail"]]
+    };
+
+    const OUT = {
+        name: "out",
+        columns: ["time", "value"],
+        points: [[1400425948000, 12], [1400425949000, 42], [1400425950000, 81]]
+    };
+
+    it("can inner join two timeseries, renaming shared columns", () => {
+        const joined = TimeSeries.join(timeSeries(IN), timeSeries(OUT), {
+            name: "traffic",
+            prefix: ["in", "out"]
+        });
+        expect(joined.name()).toBe("traffic");
+        expect(joined.size()).toBe(2);
+        expect(joined.at(0).timestamp().getTime()).toBe(1400425948000);
+        expect(joined.at(0).get("in_value")).toBe(18);
+        expect(joined.at(0).get("out_value")).toBe(12);
+        expect(joined.at(0).get("status")).toBe("ok");
+        expect(joined.at(1).get("in_value")).toBe(26);
+        expect(joined.at(1).get("out_value")).toBe(42);
+    });
+
+    it("can left join two timeseries, filling the missing side with nulls", () => {
+        const joined = TimeSeries.join(timeSeries(IN), timeSeries(OUT), {
+            type: JoinType.Left
+        });
+        expect(joined.size()).toBe(3);
+        expect(joined.at(0).get("left_value")).toBe(52);
+        expect(joined.at(0).get("right_value")).toBeNull();
+        expect(joined.at(2).get("right_value")).toBe(42);
+    });
+
+    it("can outer join two timeseries", () => {
+        const joined = TimeSeries.join(timeSeries(IN), timeSeries(OUT), {
+            type: JoinType.Outer,
+            prefix: ["in", "out"]
+        });
+        expect(joined.size()).toBe(4);
+        expect(joined.at(0).get("out_value")).toBeNull();
+        expect(joined.at(3).timestamp().getTime()).toBe(1400425950000);
+        expect(joined.at(3).get("in_value")).toBeNull();
+        expect(joined.at(3).get("status")).toBeNull();
+        expect(joined.at(3).get("out_value")).toBe(81);
+    });
+
+    it("can give the join type as a string", () => {
+        const outer = TimeSeries.join(timeSeries(IN), timeSeries(OUT), { type: "outer" });
+        expect(outer.size()).toBe(4);
+        const left = TimeSeries.join(timeSeries(IN), timeSeries(OUT), { type: "left" });
+        expect(left.size()).toBe(3);
+        expect(() =>
+            TimeSeries.join(timeSeries(IN), timeSeries(OUT), { type: "full" as any })
+        ).toThrow();
+    });
+
+    it("can join two indexed timeseries", () => {
+        const uptime = indexedSeries({
+            name: "uptime",
+            columns: ["index", "uptime"],
+            points: [["2014-07", 100], ["2014-08", 88]]
+        });
+        const outages = indexedSeries({
+            name: "outages",
+            columns: ["index", "outages"],
+            points: [["2014-08", 17], ["2014-09", 6]]
+        });
+        const joined = TimeSeries.join(uptime, outages);
+        expect(joined.size()).toBe(1);
+        expect(joined.at(0).indexAsString()).toBe("2014-08");
+        expect(joined.at(0).get("uptime")).toBe(88);
+        expect(joined.at(0).get("outages")).toBe(17);
+    });
+});
+
+describe("As-of joining two timeseries together", () => {
+    const POLLER_A = {
+        name: "a",
+        columns: ["time", "value"],
+        points: [[1400425940000, 1], [1400425950000, 2], [1400425960000, 3], [1400425970000, 4]]
+    };
+
+    const POLLER_B = {
+        name: "b",
+        columns: ["time", "value"],
+        points: [[1400425943000, 10], [1400425958000, 20], [1400425970000, 30]]
+    };
+
+    it("can match the most recent prior event by default", () => {
+        const joined = TimeSeries.asOfJoin(timeSeries(POLLER_A), timeSeries(POLLER_B), {
+            name: "pollers",
+            prefix: ["a", "b"]
+        });
+        expect(joined.name()).toBe("pollers");
+        expect(joined.size()).toBe(4);
+        expect(joined.at(0).timestamp().getTime()).toBe(1400425940000);
+        expect(joined.at(0).get("a_value")).toBe(1);
+        expect(joined.at(0).get("b_value")).toBeNull();
+        expect(joined.at(1).get("b_value")).toBe(10);
+        expect(joined.at(2).get("b_value")).toBe(20);
+        expect(joined.at(3).get("b_value")).toBe(30);
+    });
+
+    it("can match forward or to the nearest event", () => {
+        const a = timeSeries(POLLER_A);
+        const b = timeSeries(POLLER_B);
+        const forward = TimeSeries.asOfJoin(a, b, { direction: AsOfDirection.Forward });
+        expect(forward.at(0).get("right_value")).toBe(10);
+        expect(forward.at(1).get("right_value")).toBe(20);
+        expect(forward.at(2).get("right_value")).toBe(30);
+        expect(forward.at(3).get("right_value")).toBe(30);
+
+        const nearest = TimeSeries.asOfJoin(a, b, { direction: AsOfDirection.Nearest });
+        expect(nearest.at(0).get("right_value")).toBe(10);
+        expect(nearest.at(1).get("right_value")).toBe(10);
+        expect(nearest.at(2).get("right_value")).toBe(20);
+        expect(nearest.at(3).get("right_value")).toBe(30);
+    });
+
+    it("can limit matches to within a tolerance", () => {
+        const joined = TimeSeries.asOfJoin(timeSeries(POLLER_A), timeSeries(POLLER_B), {
+            direction: AsOfDirection.Nearest,
+            tolerance: duration("3s")
+        });
+        expect(joined.at(0).get("right_value")).toBe(10);
+        expect(joined.at(1).get("right_value")).toBeNull();
+        expect(joined.at(2).get("right_value")).toBe(20);
+        expect(joined.at(3).get("right_value")).toBe(30);
+    });
+
+    it("can as-of join sorted collections directly", () => {
+        const a = timeSeries(POLLER_A).collection();
+        const b = timeSeries(POLLER_B)
+            .renameColumns({ renameMap: { value: "other" } })
+            .collection();
+        const joined = a.asOfJoin(b);
+        expect(joined.size()).toBe(4);
+        expect(joined.at(1).get("value")).toBe(2);
+        expect(joined.at(1).get("other")).toBe(10);
+    });
+});
+
 describe("Summing two timeseries together", () => {
     it("can merge two timeseries into a new timeseries that is the sum", () => {
         const part1 = timeSeries(sumPart1);
@@ -1148,6 +1295,86 @@ describe("Rollups", () => {
         expect(dailyAvg.at(4).get()).toBe(51.85);
     });
 
+    it("can generate monthly and yearly rollups over a TimeSeries", () => {
+        const series = timeSeries({
+            name: "billing",
+            columns: ["time", "value"],
+            points: [
+                [Date.UTC(2016, 11, 15), 10],
+                [Date.UTC(2016, 11, 31, 23, 0), 20],
+                [Date.UTC(2017, 0, 1, 6, 0), 30],
+                [Date.UTC(2017, 1, 10), 40],
+                [Date.UTC(2017, 1, 20), 60]
+            ]
+        });
+
+        const monthlyTotals = series.monthlyRollup({ aggregation: { value: ["value", sum()] } });
+        expect(monthlyTotals.size()).toBe(3);
+        expect(monthlyTotals.at(0).indexAsString()).toBe("2016-12");
+        expect(monthlyTotals.at(0).get()).toBe(30);
+        expect(monthlyTotals.at(1).indexAsString()).toBe("2017-01");
+        expect(monthlyTotals.at(1).get()).toBe(30);
+        expect(monthlyTotals.at(2).indexAsString()).toBe("2017-02");
+        expect(monthlyTotals.at(2).get()).toBe(100);
+
+        const yearlyAvg = series.yearlyRollup({ aggregation: { value: ["value", avg()] } });
+        expect(yearlyAvg.size()).toBe(2);
+        expect(yearlyAvg.at(0).indexAsString()).toBe("2016");
+        expect(yearlyAvg.at(0).get()).toBe(15);
+        expect(yearlyAvg.at(1).indexAsString()).toBe("2017");
+        expect(yearlyAvg.at(1).get()).toBe(130 / 3);
+
+        // In Los Angeles the 2016-12-31T23:00Z and 2017-01-01T06:00Z events
+        // both fall on Dec 31
+        const laTotals = series.monthlyRollup({
+            aggregation: { value: ["value", sum()] },
+            timezone: "America/Los_Angeles"
+        });
+        expect(laTotals.at(0).indexAsString()).toBe("2016-12");
+        expect(laTotals.at(0).get()).toBe(60);
+        expect(laTotals.at(0).begin().toISOString()).toBe("2016-12-01T08:00:00.000Z");
+    });
+
+    it("can apportion rates between the windows that they overlap", () => {
+        const t = Date.UTC(2017, 0, 1, 0, 50);
+        const minutes = (m: number) => t + m * 60000;
+        const rates = timeRangeSeries({
+            name: "traffic",
+            columns: ["timerange", "bytes", "host"],
+            points: [
+                [[minutes(0), minutes(5)], 500, "a"],
+                [[minutes(7), minutes(12)], 1000, "a"],
+                [[minutes(15), minutes(20)], 300, "a"]
+            ]
+        });
+
+        // Without apportioning, the rate straddling the hour counts in one hour
+        const unapportioned = rates.hourlyRollup({ aggregation: { bytes: ["bytes", sum()] } });
+        expect(unapportioned.at(0).get("bytes")).toBe(1500);
+        expect(unapportioned.at(1).get("bytes")).toBe(300);
+
+        const hourlyBytes = rates.fixedWindowRollup({
+            window: window(duration("1h")),
+            aggregation: { bytes: ["bytes", sum()], host: ["host", keep()] },
+            apportion: "bytes"
+        });
+        expect(hourlyBytes.size()).toBe(2);
+        expect(hourlyBytes.at(0).get("bytes")).toBe(1100);
+        expect(hourlyBytes.at(1).get("bytes")).toBe(700);
+        expect(hourlyBytes.at(1).get("host")).toBe("a");
+
+        // Calendar windows, which end on their last ms, split the same way. Here
+        // the day ends at 01:00 UTC, along with the first hour
+        const dailyBytes = rates.dailyRollup({
+            aggregation: { bytes: ["bytes", sum()] },
+            apportion: "bytes",
+            timezone: "Etc/GMT+1"
+        });
+        expect(dailyBytes.size()).toBe(2);
+        expect(dailyBytes.at(0).get("bytes")).toBe(1100);
+        expect(dailyBytes.at(1).get("bytes")).toBe(700);
+    });
+
     it("can make Collections for each day in the TimeSeries", () => {
         const timeseries = timeSeries(sept2014Data);
         const eachDay = window(duration("1d"));
@@ -3,9 +3,11 @@ declare const it: any;
 declare const expect: any;
 
 import { duration } from "../src/duration";
+import { Index } from "../src/index";
 import { period } from "../src/period";
 import { time } from "../src/time";
-import { daily, window } from "../src/window";
+import { timerange } from "../src/timerange";
+import { daily, monthly, session, window, yearly } from "../src/window";
 
 import Util from "../src/util";
 
@@ -29,6 +31,28 @@ describe("Window", () => {
     it("can find all the buckets that apply for a given time", () => {
         const slidingWindow = window(duration("15m"), period(duration("5m")));
         const indexSet = slidingWindow.getIndexSet(time("2017-07-21T09:38:00.000Z")).toList();
+        const begins = indexSet.map(i => i.begin().toISOString()).toJS();
+        expect(begins).toEqual([
+            "2017-07-21T09:25:00.000Z",
+            "2017-07-21T09:30:00.000Z",
+            "2017-07-21T09:35:00.000Z"
+        ]);
+    });
+
+    it("can find the buckets of a hopping window with an offset", () => {
+        const hoppingWindow = window(duration("1m"))
+            .every(duration("5m"))
+            .offsetBy(time("2017-07-21T09:02:00.000Z"));
+
+        // Falls within the 09:37 - 09:38 window
+        const indexSet = hoppingWindow.getIndexSet(time("2017-07-21T09:37:30.000Z"));
+        expect(indexSet.size).toBe(1);
+        const hop = indexSet.first() as Index;
+        expect(hop.begin().toISOString()).toBe("2017-07-21T09:37:00.000Z");
+        expect(hop.end().toISOString()).toBe("2017-07-21T09:38:00.000Z");
+
+        // Falls between windows
+        expect(hoppingWindow.getIndexSet(time("2017-07-21T09:39:00.000Z")).size).toBe(0);
     });
 
     it("can represent itself as different types of string", () => {
@@ -88,19 +112,84 @@ describe("Window", () => {
         ).toBe("2015-04-22");
     });
 
-    /*
     it("can create a month index for a date", () => {
-        const date = new Date(1429673400000);
-        const expected = "2015-04";
-        expect(Index.getMonthlyIndexString(date)).toBe(expected);
-        done();
+        const t = time(1429673400000); // 2015-04-22T03:30:00Z
+        const april = monthly()
+            .getIndexSet(t)
+            .first() as Index;
+        expect(april.asString()).toBe("2015-04");
+
+        // Just after midnight UTC on the 1st of the month is still the
+        // previous month in Los Angeles
+        const t2 = time("2015-05-01T03:00:00Z");
+        const laApril = monthly("America/Los_Angeles")
+            .getIndexSet(t2)
+            .first() as Index;
+        expect(laApril.asString()).toBe("2015-04");
+        const may = monthly()
+            .getIndexSet(t2)
+            .first() as Index;
+        expect(may.asString()).toBe("2015-05");
     });
 
     it("can create a year index for a date", () => {
-        const date = new Date(1429673400000);
-        const expected = "2015";
-        expect(Index.getYearlyIndexString(date)).toBe(expected);
-        done();
+        const t = time("2016-01-01T03:00:00Z");
+        const year = yearly()
+            .getIndexSet(t)
+            .first() as Index;
+        expect(year.asString()).toBe("2016");
+        const nyYear = yearly("America/New_York")
+            .getIndexSet(t)
+            .first() as Index;
+        expect(nyYear.asString()).toBe("2015");
+    });
+
+    it("can find all the months and years that a timerange covers", () => {
+        const range = timerange(time("2016-11-15T00:00:00Z"), time("2017-02-01T00:00:00Z"));
+        const months = monthly()
+            .getIndexSet(range)
+            .toList()
+            .map(i => i.asString())
+            .toJS();
+        expect(months).toEqual(["2016-11", "2016-12", "2017-01", "2017-02"]);
+
+        const years = yearly()
+            .getIndexSet(range)
+            .toList()
+            .map(i => i.asString())
+            .toJS();
+        expect(years).toEqual(["2016", "2017"]);
+    });
+
+    it("can round trip a calendar index through its timerange", () => {
+        const idx = monthly("America/New_York")
+            .getIndexSet(time("2017-03-15T12:00:00Z"))
+            .first() as Index;
+        const range = Util.timeRangeFromIndexString(idx.asString(), "America/New_York");
+        expect(+range.begin()).toBe(+idx.begin());
+        expect(+range.end()).toBe(+idx.end());
+        expect(range.begin().toISOString()).toBe("2017-03-01T05:00:00.000Z");
+    });
+
+    it("can make a session index that round trips through its timerange", () => {
+        const fiveMinuteSessions = session(duration("5m"));
+        const first = time("2015-04-22T02:28:00Z");
+        const last = time("2015-04-22T02:31:00Z");
+        const idx = fiveMinuteSessions.getSessionIndex(first, last);
+        const range = Util.timeRangeFromIndexString(idx.asString());
+        expect(range.begin().toISOString()).toBe("2015-04-22T02:28:00.000Z");
+        expect(range.end().toISOString()).toBe("2015-04-22T02:36:00.000Z");
+
+        // A time on its own begins a session one gap long
+        const single = fiveMinuteSessions.getIndexSet(first).first() as Index;
+        expect(single.toTimeRange().duration()).toBe(5 * 60 * 1000);
+        expect(+single.toTimeRange().begin()).toBe(+first);
+    });
+
+    it("can't make a session index before 1970", () => {
+        const fiveMinuteSessions = session(duration("5m"));
+        const before = time("1969-12-31T23:00:00Z");
+        expect(() => fiveMinuteSessions.getSessionIndex(before, time(0))).toThrow();
+        expect(() => fiveMinuteSessions.getIndexSet(before)).toThrow();
     });
-    */
 });
@@ -10,11 +10,14 @@ import Moment = moment.Moment;
 const map = Immutable.Map;
 
 import { duration } from "../src/duration";
-import { event } from "../src/event";
+import { event, timeRangeEvent } from "../src/event";
 import { keep, sum } from "../src/functions";
 import { sortedCollection } from "../src/sortedcollection";
-import { time } from "../src/time";
-import { window } from "../src/window";
+import { time, Time } from "../src/time";
+import { timerange } from "../src/timerange";
+import { AggregationSpec } from "../src/types";
+import { session, window } from "../src/window";
+import { windowed } from "../src/windowedcollection";
 
 describe("Windowed", () => {
     it("can build a WindowedCollection", () => {
@@ -154,4 +157,167 @@ describe("Windowed", () => {
         expect(rolledUp.at(2).get("total")).toBe(5);
         expect(rolledUp.at(3).get("total")).toBe(10);
     });
+
+    it("can divide a collection into sessions per group", () => {
+        const eventCollection = sortedCollection(
+            Immutable.List([
+                event(time("2015-04-22T02:00:00Z"), map({ team: "raptors", score: 3 })),
+                event(time("2015-04-22T02:03:00Z"), map({ team: "raptors", score: 4 })),
+                event(time("2015-04-22T02:07:00Z"), map({ team: "raptors", score: 5 })),
+                event(time("2015-04-22T02:20:00Z"), map({ team: "raptors", score: 1 })),
+                event(time("2015-04-22T02:01:00Z"), map({ team: "wildcats", score: 3 })),
+                event(time("2015-04-22T02:30:00Z"), map({ team: "wildcats", score: 4 }))
+            ])
+        );
+
+        const rolledUp = eventCollection
+            .groupBy("team")
+            .window({ window: session(duration("5m")) })
+            .aggregate({
+                total: ["score", sum()]
+            });
+
+        const raptors = rolledUp.get("raptors");
+        expect(raptors.size()).toBe(2);
+        expect(raptors.at(0).get("total")).toBe(12);
+        const firstSession = raptors.at(0).timerange();
+        expect(firstSession.begin().toISOString()).toBe("2015-04-22T02:00:00.000Z");
+        expect(firstSession.end().toISOString()).toBe("2015-04-22T02:12:00.000Z");
+        expect(raptors.at(1).get("total")).toBe(1);
+
+        const wildcats = rolledUp.get("wildcats");
+        expect(wildcats.size()).toBe(2);
+        expect(wildcats.at(0).get("total")).toBe(3);
+        expect(wildcats.at(1).get("total")).toBe(4);
+    });
+
+    it("can divide an ungrouped collection into sessions", () => {
+        const eventCollection = sortedCollection(
+            Immutable.List([
+                event(time("2015-04-22T02:00:00Z"), map({ score: 3 })),
+                event(time("2015-04-22T02:04:00Z"), map({ score: 4 })),
+                event(time("2015-04-22T02:09:00Z"), map({ score: 5 }))
+            ])
+        );
+
+        // The last event is exactly one gap after the previous one
+        const sessions = eventCollection
+            .window({ window: session(duration("5m")) })
+            .aggregate({ total: ["score", sum()] })
+            .get("all");
+
+        expect(sessions.size()).toBe(2);
+        expect(sessions.at(0).get("total")).toBe(7);
+        expect(sessions.at(1).get("total")).toBe(5);
+    });
+
+    it("can build a WindowedCollection directly from a SortedCollection", () => {
+        const eventCollection = sortedCollection(
+            Immutable.List([
+                event(time("2015-04-22T02:28:00Z"), map({ team: "raptors", score: 3 })),
+                event(time("2015-04-22T02:29:00Z"), map({ team: "wildcats", score: 3 })),
+                event(time("2015-04-22T02:30:00Z"), map({ team: "raptors", score: 5 })),
+                event(time("2015-04-22T02:31:00Z"), map({ team: "wildcats", score: 6 }))
+            ])
+        );
+        const options = { window: window(duration("30m")) };
+
+        const windowedCollection = windowed(options, eventCollection);
+        const expected = eventCollection.window(options);
+        expect(windowedCollection.get("all::30m-794260").size()).toEqual(2);
+        expect(windowedCollection.get("all::30m-794261").size()).toEqual(2);
+        expect(windowedCollection.get("all::30m-794261").eventList()).toEqual(
+            expected.get("all::30m-794261").eventList()
+        );
+    });
+
+    it("can build a grouped WindowedCollection directly from a SortedCollection", () => {
+        const eventCollection = sortedCollection(
+            Immutable.List([
+                event(time("2015-04-22T02:28:00Z"), map({ team: "raptors", score: 3 })),
+                event(time("2015-04-22T02:29:00Z"), map({ team: "wildcats", score: 3 })),
+                event(time("2015-04-22T02:30:00Z"), map({ team: "raptors", score: 5 })),
+                event(time("2015-04-22T02:31:00Z"), map({ team: "wildcats", score: 6 }))
+            ])
+        );
+        const options = { window: window(duration("30m")) };
+        const aggregation: AggregationSpec<Time> = { total: ["score", sum()] };
+
+        const byField = windowed(options, "team", eventCollection).aggregate(aggregation);
+        const byFunction = windowed(options, e => e.get("team"), eventCollection).aggregate(
+            aggregation
+        );
+        const expected = eventCollection
+            .groupBy("team")
+            .window(options)
+            .aggregate(aggregation);
+
+        ["raptors", "wildcats"].forEach(team => {
+            expect(byField.get(team).size()).toBe(2);
+            expect(byField.get(team).eventList()).toEqual(expected.get(team).eventList());
+            expect(byFunction.get(team).eventList()).toEqual(expected.get(team).eventList());
+        });
+        expect(
+            byField
+                .get("wildcats")
+                .at(1)
+                .get("total")
+        ).toBe(6);
+    });
+
+    it("can aggregate windows with functions of the whole collection", () => {
+        const eventCollection = sortedCollection(
+            Immutable.List([
+                event(time("2015-04-22T02:28:00Z"), map({ team: "a", score: 3, games: 1 })),
+                event(time("2015-04-22T02:29:00Z"), map({ team: "a", score: 9, games: 3 })),
+                event(time("2015-04-22T02:31:00Z"), map({ team: "a", score: 5, games: 1 }))
+            ])
+        );
+
+        const rolledUp = eventCollection
+            .groupBy("team")
+            .window({ window: window(duration("30m")) })
+            .aggregate({
+                total: ["score", sum()],
+                weighted: c => c.sum("score") / c.sum("games"),
+                range: c => ({ first: c.at(0).get("score"), last: c.at(c.size() - 1).get("score") })
+            });
+
+        const a = rolledUp.get("a");
+        expect(a.size()).toBe(2);
+        expect(a.at(0).get("total")).toBe(12);
+        expect(a.at(0).get("weighted")).toBe(3);
+        expect(a.at(0).get("range.first")).toBe(3);
+        expect(a.at(0).get("range.last")).toBe(9);
+        expect(a.at(1).get("weighted")).toBe(5);
+    });
+
+    it("can split TimeRange events between the windows they overlap", () => {
+        const begin = +time("2015-04-22T02:20:00Z");
+        const eventCollection = sortedCollection(
+            Immutable.List([
+                timeRangeEvent(
+                    timerange(begin, begin + 40 * 60000),
+                    map({ bytes: 400, rate: 10, host: "a" })
+                )
+            ])
+        );
+
+        const windowedCollection = eventCollection.window({
+            window: window(duration("30m")),
+            apportion: "bytes"
+        });
+
+        const first = windowedCollection.get("all::30m-794260").at(0);
+        const second = windowedCollection.get("all::30m-794261").at(0);
+        expect(windowedCollection.get("all::30m-794260").size()).toBe(1);
+        expect(first.get("bytes")).toBe(100);
+        expect(first.get("rate")).toBe(10);
+        expect(first.get("host")).toBe("a");
+        expect(first.begin().toISOString()).toBe("2015-04-22T02:20:00.000Z");
+        expect(first.end().toISOString()).toBe("2015-04-22T02:30:00.000Z");
+        expect(second.get("bytes")).toBe(300);
+        expect(second.begin().toISOString()).toBe("2015-04-22T02:30:00.000Z");
+        expect(second.end().toISOString()).toBe("2015-04-22T03:00:00.000Z");
+    });
 });